@@ -0,0 +1,93 @@
+/*
+neovalidate - ES6+ fork of Validate.js, a declarative validation library
+(c) 2025 pokeghost
+Licensed under MIT License
+
+Based on validate.js 0.13.1
+http://validatejs.org/
+(c) 2013-2019 Nicklas Ansman, 2013 Wrapp
+*/
+
+'use strict'
+
+import Validator from './validator.js'
+
+// Function-style API of the original validate.js, backed by the static
+// Validator entry points so legacy code only needs to change its import
+
+const validate = (attributes, constraints, options) =>
+  Validator.validate(attributes, constraints, {
+    ...validate.options,
+    ...options
+  })
+
+validate.async = (attributes, constraints, options) =>
+  Validator.validateAsync(attributes, constraints, {
+    ...validate.async.options,
+    ...options
+  })
+
+validate.single = (value, constraints, options) =>
+  Validator.single(value, constraints, {
+    ...validate.single.options,
+    ...options
+  })
+
+validate.options = {}
+validate.async.options = { cleanAttributes: true }
+validate.single.options = {}
+
+validate.validators = Validator.validators
+validate.formatters = Validator.formatters
+validate.EMPTY_STRING_REGEXP = Validator.EMPTY_STRING_REGEXP
+
+Object.defineProperty(validate, 'Promise', {
+  get: () => Validator.Promise,
+  set: (value) => {
+    Validator.Promise = value
+  },
+  enumerable: true
+})
+
+const HELPERS = [
+  'extend',
+  'result',
+  'isNumber',
+  'isFunction',
+  'isInteger',
+  'isBoolean',
+  'isObject',
+  'isDate',
+  'isDefined',
+  'isPromise',
+  'isJqueryElement',
+  'isDomElement',
+  'isEmpty',
+  'format',
+  'prettify',
+  'stringifyValue',
+  'isString',
+  'isArray',
+  'isHash',
+  'contains',
+  'unique',
+  'forEachKeyInKeypath',
+  'getDeepObjectValue',
+  'collectFormValues',
+  'sanitizeFormValue',
+  'capitalize',
+  'pruneEmptyErrors',
+  'expandMultipleErrors',
+  'convertErrorMessages',
+  'groupErrorsByAttribute',
+  'flattenErrorsToArray',
+  'cleanAttributes',
+  'warn',
+  'error'
+]
+
+HELPERS.forEach((name) => {
+  validate[name] = Validator[name]
+})
+
+export default validate
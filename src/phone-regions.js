@@ -0,0 +1,360 @@
+/*
+neovalidate - ES6+ fork of Validate.js, a declarative validation library
+(c) 2025 pokeghost
+Licensed under MIT License
+*/
+
+'use strict'
+
+// Country calling codes and the shortest and longest national significant
+// number of each region, after ITU-T E.164 and the national numbering plans.
+// Every geographic code assigned by the ITU is listed; non-geographic codes
+// such as +800 or +881 don't belong to a region and aren't.
+//
+// `trunk` is the prefix dialled before national numbers, '0' unless stated.
+// Regions sharing a calling code list the leading digits of their national
+// numbers in `prefixes`, and the region without any takes the rest.
+export default {
+  // North American Numbering Plan, told apart by area code. The US takes
+  // every area code not listed here, including the shared toll-free ones.
+  US: { code: '1', lengths: [10, 10], trunk: '1' },
+  CA: {
+    code: '1',
+    lengths: [10, 10],
+    trunk: '1',
+    prefixes: [
+      '204',
+      '226',
+      '236',
+      '249',
+      '250',
+      '257',
+      '263',
+      '289',
+      '306',
+      '343',
+      '354',
+      '365',
+      '367',
+      '368',
+      '382',
+      '387',
+      '403',
+      '416',
+      '418',
+      '428',
+      '431',
+      '437',
+      '438',
+      '450',
+      '460',
+      '468',
+      '474',
+      '506',
+      '514',
+      '519',
+      '548',
+      '579',
+      '581',
+      '584',
+      '587',
+      '604',
+      '613',
+      '639',
+      '647',
+      '672',
+      '683',
+      '705',
+      '709',
+      '742',
+      '753',
+      '778',
+      '780',
+      '782',
+      '807',
+      '819',
+      '825',
+      '867',
+      '873',
+      '879',
+      '902',
+      '905',
+      '942'
+    ]
+  },
+  AG: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['268'] },
+  AI: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['264'] },
+  AS: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['684'] },
+  BB: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['246'] },
+  BM: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['441'] },
+  BS: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['242'] },
+  DM: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['767'] },
+  DO: {
+    code: '1',
+    lengths: [10, 10],
+    trunk: '1',
+    prefixes: ['809', '829', '849']
+  },
+  GD: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['473'] },
+  GU: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['671'] },
+  JM: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['658', '876'] },
+  KN: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['869'] },
+  KY: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['345'] },
+  LC: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['758'] },
+  MP: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['670'] },
+  MS: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['664'] },
+  PR: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['787', '939'] },
+  SX: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['721'] },
+  TC: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['649'] },
+  TT: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['868'] },
+  VC: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['784'] },
+  VG: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['284'] },
+  VI: { code: '1', lengths: [10, 10], trunk: '1', prefixes: ['340'] },
+
+  // Zone 2, Africa and the North Atlantic
+  EG: { code: '20', lengths: [8, 10] },
+  SS: { code: '211', lengths: [9, 9] },
+  MA: { code: '212', lengths: [9, 9] },
+  EH: { code: '212', lengths: [9, 9], prefixes: ['5288', '5289'] },
+  DZ: { code: '213', lengths: [8, 9] },
+  TN: { code: '216', lengths: [8, 8], trunk: '' },
+  LY: { code: '218', lengths: [8, 9] },
+  GM: { code: '220', lengths: [7, 7], trunk: '' },
+  SN: { code: '221', lengths: [9, 9], trunk: '' },
+  MR: { code: '222', lengths: [8, 8], trunk: '' },
+  ML: { code: '223', lengths: [8, 8], trunk: '' },
+  GN: { code: '224', lengths: [8, 9], trunk: '' },
+  CI: { code: '225', lengths: [10, 10], trunk: '' },
+  BF: { code: '226', lengths: [8, 8], trunk: '' },
+  NE: { code: '227', lengths: [8, 8], trunk: '' },
+  TG: { code: '228', lengths: [8, 8], trunk: '' },
+  BJ: { code: '229', lengths: [8, 10], trunk: '' },
+  MU: { code: '230', lengths: [7, 8], trunk: '' },
+  LR: { code: '231', lengths: [7, 9] },
+  SL: { code: '232', lengths: [8, 8] },
+  GH: { code: '233', lengths: [9, 9] },
+  NG: { code: '234', lengths: [8, 10] },
+  TD: { code: '235', lengths: [8, 8], trunk: '' },
+  CF: { code: '236', lengths: [8, 8], trunk: '' },
+  CM: { code: '237', lengths: [8, 9], trunk: '' },
+  CV: { code: '238', lengths: [7, 7], trunk: '' },
+  ST: { code: '239', lengths: [7, 7], trunk: '' },
+  GQ: { code: '240', lengths: [9, 9], trunk: '' },
+  GA: { code: '241', lengths: [7, 8], trunk: '' },
+  CG: { code: '242', lengths: [9, 9], trunk: '' },
+  CD: { code: '243', lengths: [7, 9] },
+  AO: { code: '244', lengths: [9, 9], trunk: '' },
+  GW: { code: '245', lengths: [7, 9], trunk: '' },
+  IO: { code: '246', lengths: [7, 7], trunk: '' },
+  AC: { code: '247', lengths: [5, 6], trunk: '' },
+  SC: { code: '248', lengths: [7, 7], trunk: '' },
+  SD: { code: '249', lengths: [9, 9] },
+  RW: { code: '250', lengths: [9, 9] },
+  ET: { code: '251', lengths: [9, 9] },
+  SO: { code: '252', lengths: [7, 9] },
+  DJ: { code: '253', lengths: [8, 8], trunk: '' },
+  KE: { code: '254', lengths: [9, 9] },
+  TZ: { code: '255', lengths: [9, 9] },
+  UG: { code: '256', lengths: [9, 9] },
+  BI: { code: '257', lengths: [8, 8], trunk: '' },
+  MZ: { code: '258', lengths: [8, 9], trunk: '' },
+  ZM: { code: '260', lengths: [9, 9] },
+  MG: { code: '261', lengths: [9, 9] },
+  RE: { code: '262', lengths: [9, 9] },
+  YT: { code: '262', lengths: [9, 9], prefixes: ['269', '639'] },
+  ZW: { code: '263', lengths: [5, 10] },
+  NA: { code: '264', lengths: [8, 10] },
+  MW: { code: '265', lengths: [7, 9] },
+  LS: { code: '266', lengths: [8, 8], trunk: '' },
+  BW: { code: '267', lengths: [7, 8], trunk: '' },
+  SZ: { code: '268', lengths: [8, 8], trunk: '' },
+  KM: { code: '269', lengths: [7, 7], trunk: '' },
+  ZA: { code: '27', lengths: [9, 9] },
+  SH: { code: '290', lengths: [4, 5], trunk: '' },
+  TA: { code: '290', lengths: [4, 5], trunk: '', prefixes: ['8'] },
+  ER: { code: '291', lengths: [7, 7] },
+  AW: { code: '297', lengths: [7, 7], trunk: '' },
+  FO: { code: '298', lengths: [6, 6], trunk: '' },
+  GL: { code: '299', lengths: [6, 6], trunk: '' },
+
+  // Zones 3 and 4, Europe
+  GR: { code: '30', lengths: [10, 10], trunk: '' },
+  NL: { code: '31', lengths: [9, 9] },
+  BE: { code: '32', lengths: [8, 9] },
+  FR: { code: '33', lengths: [9, 9] },
+  ES: { code: '34', lengths: [9, 9], trunk: '' },
+  GI: { code: '350', lengths: [8, 8], trunk: '' },
+  PT: { code: '351', lengths: [9, 9], trunk: '' },
+  LU: { code: '352', lengths: [4, 11], trunk: '' },
+  IE: { code: '353', lengths: [7, 9] },
+  IS: { code: '354', lengths: [7, 7], trunk: '' },
+  AL: { code: '355', lengths: [6, 9] },
+  MT: { code: '356', lengths: [8, 8], trunk: '' },
+  CY: { code: '357', lengths: [8, 8], trunk: '' },
+  FI: { code: '358', lengths: [5, 12] },
+  AX: { code: '358', lengths: [5, 12], prefixes: ['18'] },
+  BG: { code: '359', lengths: [7, 9] },
+  HU: { code: '36', lengths: [8, 9], trunk: '06' },
+  LT: { code: '370', lengths: [8, 8], trunk: '8' },
+  LV: { code: '371', lengths: [8, 8], trunk: '' },
+  EE: { code: '372', lengths: [7, 8], trunk: '' },
+  MD: { code: '373', lengths: [8, 8] },
+  AM: { code: '374', lengths: [8, 8] },
+  BY: { code: '375', lengths: [9, 9], trunk: '8' },
+  AD: { code: '376', lengths: [6, 9], trunk: '' },
+  MC: { code: '377', lengths: [8, 9] },
+  SM: { code: '378', lengths: [6, 10], trunk: '' },
+  UA: { code: '380', lengths: [9, 9] },
+  RS: { code: '381', lengths: [8, 10] },
+  ME: { code: '382', lengths: [8, 8] },
+  XK: { code: '383', lengths: [8, 9] },
+  HR: { code: '385', lengths: [8, 9] },
+  SI: { code: '386', lengths: [8, 8] },
+  BA: { code: '387', lengths: [8, 9] },
+  MK: { code: '389', lengths: [8, 8] },
+  IT: { code: '39', lengths: [6, 11], trunk: '' },
+  VA: { code: '39', lengths: [10, 10], trunk: '', prefixes: ['06698'] },
+  RO: { code: '40', lengths: [9, 9] },
+  CH: { code: '41', lengths: [9, 9] },
+  CZ: { code: '420', lengths: [9, 9], trunk: '' },
+  SK: { code: '421', lengths: [9, 9] },
+  LI: { code: '423', lengths: [7, 9], trunk: '' },
+  AT: { code: '43', lengths: [4, 13] },
+  GB: { code: '44', lengths: [9, 10] },
+  GG: {
+    code: '44',
+    lengths: [10, 10],
+    prefixes: ['1481', '7781', '7839', '7911']
+  },
+  JE: {
+    code: '44',
+    lengths: [10, 10],
+    prefixes: ['1534', '7509', '7797', '7829', '7937']
+  },
+  IM: {
+    code: '44',
+    lengths: [10, 10],
+    prefixes: ['1624', '7524', '7624', '7924']
+  },
+  DK: { code: '45', lengths: [8, 8], trunk: '' },
+  SE: { code: '46', lengths: [7, 10] },
+  NO: { code: '47', lengths: [8, 8], trunk: '' },
+  SJ: { code: '47', lengths: [8, 8], trunk: '', prefixes: ['79'] },
+  PL: { code: '48', lengths: [9, 9], trunk: '' },
+  DE: { code: '49', lengths: [5, 15] },
+
+  // Zone 5, South and Central America
+  FK: { code: '500', lengths: [5, 5], trunk: '' },
+  GS: { code: '500', lengths: [5, 5], trunk: '', prefixes: ['4'] },
+  BZ: { code: '501', lengths: [7, 7], trunk: '' },
+  GT: { code: '502', lengths: [8, 8], trunk: '' },
+  SV: { code: '503', lengths: [8, 8], trunk: '' },
+  HN: { code: '504', lengths: [8, 8], trunk: '' },
+  NI: { code: '505', lengths: [8, 8], trunk: '' },
+  CR: { code: '506', lengths: [8, 8], trunk: '' },
+  PA: { code: '507', lengths: [7, 8], trunk: '' },
+  PM: { code: '508', lengths: [6, 6] },
+  HT: { code: '509', lengths: [8, 8], trunk: '' },
+  PE: { code: '51', lengths: [8, 9] },
+  MX: { code: '52', lengths: [10, 10] },
+  CU: { code: '53', lengths: [6, 8] },
+  AR: { code: '54', lengths: [10, 10] },
+  BR: { code: '55', lengths: [10, 11] },
+  CL: { code: '56', lengths: [9, 9] },
+  CO: { code: '57', lengths: [10, 10] },
+  VE: { code: '58', lengths: [10, 10] },
+  GP: { code: '590', lengths: [9, 9] },
+  BL: { code: '590', lengths: [9, 9], prefixes: ['59027'] },
+  MF: { code: '590', lengths: [9, 9], prefixes: ['59087'] },
+  BO: { code: '591', lengths: [8, 8] },
+  GY: { code: '592', lengths: [7, 7], trunk: '' },
+  EC: { code: '593', lengths: [8, 9] },
+  GF: { code: '594', lengths: [9, 9] },
+  PY: { code: '595', lengths: [6, 9] },
+  MQ: { code: '596', lengths: [9, 9] },
+  SR: { code: '597', lengths: [6, 7], trunk: '' },
+  UY: { code: '598', lengths: [8, 8] },
+  CW: { code: '599', lengths: [7, 8], trunk: '', prefixes: ['9'] },
+  BQ: { code: '599', lengths: [7, 7], trunk: '', prefixes: ['3', '4', '7'] },
+
+  // Zone 6, South East Asia and Oceania
+  MY: { code: '60', lengths: [8, 10] },
+  AU: { code: '61', lengths: [9, 9] },
+  CX: { code: '61', lengths: [9, 9], prefixes: ['89164'] },
+  CC: { code: '61', lengths: [9, 9], prefixes: ['89162'] },
+  ID: { code: '62', lengths: [8, 12] },
+  PH: { code: '63', lengths: [8, 10] },
+  NZ: { code: '64', lengths: [8, 10] },
+  SG: { code: '65', lengths: [8, 8], trunk: '' },
+  TH: { code: '66', lengths: [8, 9] },
+  TL: { code: '670', lengths: [7, 8], trunk: '' },
+  NF: { code: '672', lengths: [6, 6], trunk: '' },
+  BN: { code: '673', lengths: [7, 7], trunk: '' },
+  NR: { code: '674', lengths: [7, 7], trunk: '' },
+  PG: { code: '675', lengths: [7, 8], trunk: '' },
+  TO: { code: '676', lengths: [5, 7], trunk: '' },
+  SB: { code: '677', lengths: [5, 7], trunk: '' },
+  VU: { code: '678', lengths: [5, 7], trunk: '' },
+  FJ: { code: '679', lengths: [7, 7], trunk: '' },
+  PW: { code: '680', lengths: [7, 7], trunk: '' },
+  WF: { code: '681', lengths: [6, 6], trunk: '' },
+  CK: { code: '682', lengths: [5, 5], trunk: '' },
+  NU: { code: '683', lengths: [4, 7], trunk: '' },
+  WS: { code: '685', lengths: [5, 7], trunk: '' },
+  KI: { code: '686', lengths: [5, 8], trunk: '' },
+  NC: { code: '687', lengths: [6, 6], trunk: '' },
+  TV: { code: '688', lengths: [5, 7], trunk: '' },
+  PF: { code: '689', lengths: [8, 8], trunk: '' },
+  TK: { code: '690', lengths: [4, 7], trunk: '' },
+  FM: { code: '691', lengths: [7, 7], trunk: '' },
+  MH: { code: '692', lengths: [7, 7], trunk: '' },
+
+  // Zone 7, Russia and Kazakhstan
+  RU: { code: '7', lengths: [10, 10], trunk: '8' },
+  KZ: { code: '7', lengths: [10, 10], trunk: '8', prefixes: ['6', '7'] },
+
+  // Zone 8, East Asia
+  JP: { code: '81', lengths: [9, 10] },
+  KR: { code: '82', lengths: [8, 10] },
+  VN: { code: '84', lengths: [9, 10] },
+  KP: { code: '850', lengths: [8, 10] },
+  HK: { code: '852', lengths: [8, 8], trunk: '' },
+  MO: { code: '853', lengths: [8, 8], trunk: '' },
+  KH: { code: '855', lengths: [8, 9] },
+  LA: { code: '856', lengths: [8, 10] },
+  CN: { code: '86', lengths: [10, 11] },
+  BD: { code: '880', lengths: [10, 10] },
+  TW: { code: '886', lengths: [8, 9] },
+
+  // Zone 9, West, Central and South Asia
+  TR: { code: '90', lengths: [10, 10] },
+  IN: { code: '91', lengths: [10, 10] },
+  PK: { code: '92', lengths: [9, 10] },
+  AF: { code: '93', lengths: [9, 9] },
+  LK: { code: '94', lengths: [9, 9] },
+  MM: { code: '95', lengths: [7, 10] },
+  MV: { code: '960', lengths: [7, 7], trunk: '' },
+  LB: { code: '961', lengths: [7, 8] },
+  JO: { code: '962', lengths: [8, 9] },
+  SY: { code: '963', lengths: [8, 9] },
+  IQ: { code: '964', lengths: [8, 10] },
+  KW: { code: '965', lengths: [8, 8], trunk: '' },
+  SA: { code: '966', lengths: [9, 9] },
+  YE: { code: '967', lengths: [7, 9] },
+  OM: { code: '968', lengths: [8, 8], trunk: '' },
+  PS: { code: '970', lengths: [8, 9] },
+  AE: { code: '971', lengths: [8, 9] },
+  IL: { code: '972', lengths: [8, 9] },
+  BH: { code: '973', lengths: [8, 8], trunk: '' },
+  QA: { code: '974', lengths: [8, 8], trunk: '' },
+  BT: { code: '975', lengths: [7, 8], trunk: '' },
+  MN: { code: '976', lengths: [8, 8] },
+  NP: { code: '977', lengths: [8, 10] },
+  IR: { code: '98', lengths: [10, 10] },
+  TJ: { code: '992', lengths: [9, 9], trunk: '' },
+  TM: { code: '993', lengths: [8, 8], trunk: '8' },
+  AZ: { code: '994', lengths: [9, 9] },
+  GE: { code: '995', lengths: [9, 9] },
+  KG: { code: '996', lengths: [9, 9] },
+  UZ: { code: '998', lengths: [9, 9], trunk: '' }
+}
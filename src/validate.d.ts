@@ -11,13 +11,33 @@ declare module 'neovalidate' {
     constraints: Constraints
   ) => any
 
-  type ConstraintValue<T = any> = T | ConstraintFunction<T>
+  // Object options may be tagged with the contexts they apply in
+  type ConstraintValue<T = any> =
+    | T
+    | (T & { on?: string | string[] })
+    | ConstraintFunction<T>
 
   interface PresenceOptions {
     allowEmpty?: boolean
     message?: string
   }
 
+  interface RequiredIfOptions {
+    attribute: string
+    value: any
+    allowEmpty?: boolean
+    message?: string
+    prettify?: (value: any) => string
+  }
+
+  interface RequiredWithOptions {
+    attributes: string | string[]
+    all?: boolean
+    allowEmpty?: boolean
+    message?: string
+    prettify?: (value: any) => string
+  }
+
   interface LengthOptions {
     is?: number
     minimum?: number
@@ -86,6 +106,19 @@ declare module 'neovalidate' {
     message?: string
   }
 
+  type UuidVersion = 1 | 2 | 3 | 4 | 5 | 6 | 7 | 8 | 'nil' | 'max'
+
+  interface UuidOptions {
+    version?: UuidVersion | UuidVersion[]
+    letterCase?: 'lower' | 'upper'
+    allowBraces?: boolean
+    allowUrn?: boolean
+    message?: string
+    notValid?: string
+    wrongVersion?: string
+    wrongCase?: string
+  }
+
   interface EqualityOptions {
     attribute: string
     comparator?: (
@@ -106,6 +139,83 @@ declare module 'neovalidate' {
     message?: string
   }
 
+  interface IpOptions {
+    version?: 4 | 6
+    allowCidr?: boolean
+    requireCidr?: boolean
+    allowPrivate?: boolean
+    allowLoopback?: boolean
+    allowLinkLocal?: boolean
+    allowReserved?: boolean
+    message?: string
+    notValid?: string
+    wrongVersion?: string
+    restricted?: string
+  }
+
+  type CardNetwork =
+    | 'visa'
+    | 'mastercard'
+    | 'amex'
+    | 'discover'
+    | 'dinersClub'
+    | 'jcb'
+    | 'unionPay'
+    | 'maestro'
+
+  interface CreditCardOptions {
+    networks?: (CardNetwork | string)[]
+    message?: string
+    notValid?: string
+    invalidChecksum?: string
+    unsupported?: string
+  }
+
+  interface IbanOptions {
+    countries?: string[]
+    message?: string
+    notValid?: string
+    wrongLength?: string
+    invalidChecksum?: string
+    unsupported?: string
+  }
+
+  interface BicOptions {
+    countries?: string[]
+    message?: string
+    notValid?: string
+    unsupported?: string
+  }
+
+  interface PhoneOptions {
+    regions?: string[]
+    region?: string
+    normalize?: boolean
+    message?: string
+    notValid?: string
+    unsupported?: string
+  }
+
+  type CharacterClass = 'lowercase' | 'uppercase' | 'digit' | 'symbol'
+
+  interface PasswordOptions {
+    require?: CharacterClass | CharacterClass[]
+    minEntropy?: number
+    maxSequence?: number
+    maxRepeat?: number
+    notContaining?: string | string[]
+    blocklist?: Iterable<string>
+    prettify?: (value: any) => string
+    message?: string
+    notValid?: string
+    missingClass?: string
+    tooWeak?: string
+    hasSequence?: string
+    hasRepeat?: string
+    containsAttribute?: string
+    blocklisted?: string
+  }
+
   interface TypeOptions {
     type:
       | string
@@ -127,8 +237,54 @@ declare module 'neovalidate' {
         ) => string)
   }
 
+  type TransformFunction = (
+    value: any,
+    attribute: string,
+    attributes: Attributes
+  ) => any
+
+  type Transform =
+    | 'trim'
+    | 'nullify'
+    | 'toNumber'
+    | 'toBoolean'
+    | 'toDate'
+    | TransformFunction
+
+  type Condition =
+    | string
+    | {
+        attribute?: string
+        equals?: any
+        notEquals?: any
+        in?: any[]
+        notIn?: any[]
+        present?: boolean
+        all?: Condition[]
+        any?: Condition[]
+        not?: Condition
+      }
+
+  interface ConditionalConstraints {
+    if: Condition
+    then?: ValidatorConstraints
+    otherwise?: ValidatorConstraints
+  }
+
+  type ContextTag = string | string[]
+
   interface ValidatorConstraints {
+    on?: ContextTag
+    if?: Condition
+    unless?: Condition
+    when?: ConditionalConstraints | ConditionalConstraints[]
+    default?: any | ((attributes: Attributes, attribute: string) => any)
+    transform?: Transform | Transform[]
     presence?: ConstraintValue<PresenceOptions | boolean>
+    requiredIf?: ConstraintValue<RequiredIfOptions>
+    requiredUnless?: ConstraintValue<RequiredIfOptions>
+    requiredWith?: ConstraintValue<RequiredWithOptions | string | string[]>
+    requiredWithout?: ConstraintValue<RequiredWithOptions | string | string[]>
     length?: ConstraintValue<LengthOptions>
     numericality?: ConstraintValue<NumericalityOptions | boolean>
     datetime?: ConstraintValue<DatetimeOptions>
@@ -137,8 +293,18 @@ declare module 'neovalidate' {
     inclusion?: ConstraintValue<InclusionOptions | any[]>
     exclusion?: ConstraintValue<ExclusionOptions | any[]>
     email?: ConstraintValue<EmailOptions | boolean>
+    uuid?: ConstraintValue<UuidOptions | UuidVersion | UuidVersion[] | boolean>
     equality?: ConstraintValue<EqualityOptions | string>
     url?: ConstraintValue<UrlOptions>
+    ip?: ConstraintValue<IpOptions | 4 | 6 | boolean>
+    creditCard?: ConstraintValue<
+      CreditCardOptions | (CardNetwork | string)[] | boolean
+    >
+    iban?: ConstraintValue<IbanOptions | string[] | boolean>
+    bic?: ConstraintValue<BicOptions | string[] | boolean>
+    phone?: ConstraintValue<PhoneOptions | string[] | boolean>
+    password?: ConstraintValue<PasswordOptions | boolean>
+    nested?: ConstraintValue<Constraints>
     type?: ConstraintValue<TypeOptions | string>
     [validatorName: string]: any
   }
@@ -148,8 +314,24 @@ declare module 'neovalidate' {
   }
 
   interface ValidatorOptions {
-    format?: 'grouped' | 'flat' | 'detailed' | 'constraint'
+    format?:
+      | 'grouped'
+      | 'flat'
+      | 'detailed'
+      | 'constraint'
+      | string
+      | FormatterFunction
     fullMessages?: boolean
+    abortEarly?: boolean | 'attribute'
+    concurrency?: number
+    signal?: AbortSignal
+    timeout?: number
+    timeoutMessage?: string
+    strict?: boolean
+    strictMessage?: string
+    context?: string | string[]
+    only?: string | string[]
+    skipMissing?: boolean
     cleanAttributes?: boolean
     nullify?: boolean
     prettify?: (value: any) => string
@@ -174,6 +356,7 @@ declare module 'neovalidate' {
     attributes: Attributes
     options: any
     error: string
+    timedOut?: boolean
   }
 
   type ValidationResult =
@@ -182,12 +365,19 @@ declare module 'neovalidate' {
     | { [attribute: string]: string[] }
     | ValidationError[]
 
+  interface SafeValidationResult {
+    valid: boolean
+    errors: ValidationResult
+    data: Attributes
+  }
+
   type ValidatorFunction = (
     value: any,
     options: any,
     attribute?: string,
     attributes?: Attributes,
-    globalOptions?: ValidatorOptions
+    globalOptions?: ValidatorOptions,
+    validator?: Validator
   ) => string | string[] | undefined
 
   interface TypeCheckers {
@@ -204,25 +394,116 @@ declare module 'neovalidate' {
   interface DatetimeValidator extends ValidatorFunction {
     parse: ((value: any, options: any) => number) | null
     format: ((value: number, options: any) => string) | null
+    ISO_PATTERN: RegExp
+    parseISO(value: any): number
+    formatISO(value: number, options?: DatetimeOptions): string
   }
 
   interface EmailValidator extends ValidatorFunction {
     PATTERN: RegExp
   }
 
+  interface UuidValidator extends ValidatorFunction {
+    PATTERN: RegExp
+    VERSIONS: UuidVersion[]
+    versionOf(uuid: string): UuidVersion | undefined
+  }
+
   interface TypeValidator extends ValidatorFunction {
     types: TypeCheckers
     messages: { [typeName: string]: string }
   }
 
+  interface NestedValidator extends ValidatorFunction {
+    nested: true
+  }
+
   interface UrlValidator extends ValidatorFunction {
     schemes: string[]
     allowLocal: boolean
     allowDataUrl: boolean
   }
 
+  type IpRange = 'private' | 'loopback' | 'linkLocal' | 'reserved'
+
+  interface IpAddress {
+    version: 4 | 6
+    bytes: number[]
+    prefix?: number
+  }
+
+  interface IpValidator extends ValidatorFunction {
+    RANGES: { [range: string]: string[] }
+    parse(value: string): IpAddress | undefined
+    parseIPv4(ip: string): number[] | undefined
+    parseIPv6(ip: string): number[] | undefined
+    rangeOf(address: IpAddress): IpRange | string | undefined
+  }
+
+  interface CardNetworkDefinition {
+    name: string
+    prefix: RegExp
+    lengths: number[]
+  }
+
+  interface CreditCardValidator extends ValidatorFunction {
+    NETWORKS: { [network: string]: CardNetworkDefinition }
+    networks?: (CardNetwork | string)[]
+    networkOf(number: string): CardNetwork | string | undefined
+    luhn(number: string): boolean
+  }
+
+  interface IbanValidator extends ValidatorFunction {
+    LENGTHS: { [country: string]: number }
+    countries?: string[]
+    normalize(value: string): string
+    mod97(iban: string): number
+  }
+
+  interface BicValidator extends ValidatorFunction {
+    PATTERN: RegExp
+    countries?: string[]
+  }
+
+  interface PhoneRegion {
+    code: string
+    lengths: [number, number]
+    trunk?: string
+    prefixes?: string[]
+  }
+
+  interface PhoneNumber {
+    code: string
+    national: string
+    regions: string[]
+  }
+
+  interface PhoneValidator extends ValidatorFunction {
+    REGIONS: { [region: string]: PhoneRegion }
+    SEPARATORS: RegExp
+    regions?: string[]
+    parse(
+      value: string,
+      options?: Pick<PhoneOptions, 'normalize' | 'region'>
+    ): PhoneNumber | undefined
+  }
+
+  interface PasswordValidator extends ValidatorFunction {
+    CLASSES: {
+      [name: string]: { pattern: RegExp; size: number; description: string }
+    }
+    blocklist?: Iterable<string>
+    entropy(value: string): number
+    findSequence(value: string, max: number): string | undefined
+    findRepeat(value: string, max: number): string | undefined
+  }
+
   interface Validators {
     presence: ValidatorFunction
+    requiredIf: ValidatorFunction
+    requiredUnless: ValidatorFunction
+    requiredWith: ValidatorFunction
+    requiredWithout: ValidatorFunction
     length: ValidatorFunction
     numericality: ValidatorFunction
     datetime: DatetimeValidator
@@ -231,13 +512,36 @@ declare module 'neovalidate' {
     inclusion: ValidatorFunction
     exclusion: ValidatorFunction
     email: EmailValidator
+    uuid: UuidValidator
     equality: ValidatorFunction
     url: UrlValidator
+    ip: IpValidator
+    creditCard: CreditCardValidator
+    iban: IbanValidator
+    bic: BicValidator
+    phone: PhoneValidator
+    password: PasswordValidator
+    nested: NestedValidator
     type: TypeValidator
     [validatorName: string]: ValidatorFunction
   }
 
-  type FormatterFunction = (errors: ValidationError[]) => any
+  interface Transforms {
+    trim: TransformFunction
+    nullify: TransformFunction
+    toNumber: TransformFunction
+    toBoolean: TransformFunction & {
+      TRUE_VALUES: any[]
+      FALSE_VALUES: any[]
+    }
+    toDate: TransformFunction
+    [transformName: string]: TransformFunction
+  }
+
+  type FormatterFunction = (
+    errors: ValidationError[],
+    options?: ValidatorOptions
+  ) => any
 
   interface Formatters {
     detailed: FormatterFunction
@@ -265,11 +569,42 @@ declare module 'neovalidate' {
       constraints: ValidatorConstraints,
       options?: ValidatorOptions
     ): ValidationResult
+    safeValidate(
+      attributes: Attributes,
+      constraints: Constraints,
+      options?: ValidatorOptions
+    ): SafeValidationResult
+    safeValidateAsync(
+      attributes: Attributes,
+      constraints: Constraints,
+      options?: ValidatorOptions
+    ): Promise<SafeValidationResult>
+
+    getValidator(name: string): ValidatorFunction | undefined
+    addValidator(name: string, validator: ValidatorFunction): this
+    overrideValidator(
+      name: string,
+      override: ValidatorFunction | { [property: string]: any }
+    ): this
+    removeValidator(name: string): this
+
+    getFormatter(name: string): FormatterFunction | undefined
+    addFormatter(name: string, formatter: FormatterFunction): this
+    overrideFormatter(name: string, formatter: FormatterFunction): this
+    removeFormatter(name: string): this
+    getTransform(name: string): TransformFunction | undefined
+    addTransform(name: string, transform: TransformFunction): this
+    overrideTransform(name: string, transform: TransformFunction): this
+    removeTransform(name: string): this
 
     static Promise: typeof Promise | null
     static EMPTY_STRING_REGEXP: RegExp
+    static WILDCARD: string
+    static RECORD_KEY: string
+    static RESERVED_KEYS: string[]
     static validators: Validators
     static formatters: Formatters
+    static transforms: Transforms
 
     static validate(
       attributes: Attributes,
@@ -286,11 +621,39 @@ declare module 'neovalidate' {
       constraints: ValidatorConstraints,
       options?: ValidatorOptions
     ): ValidationResult
+    static safeValidate(
+      attributes: Attributes,
+      constraints: Constraints,
+      options?: ValidatorOptions
+    ): SafeValidationResult
+    static safeValidateAsync(
+      attributes: Attributes,
+      constraints: Constraints,
+      options?: ValidatorOptions
+    ): Promise<SafeValidationResult>
 
     static cleanAttributes(
       attributes: Attributes,
       whitelist: Constraints
     ): Attributes
+    static findUnknownAttributes(
+      attributes: Attributes,
+      whitelist: Constraints
+    ): string[]
+    static matchesContext(
+      on: ContextTag | undefined,
+      context: string | string[] | undefined
+    ): boolean
+    static matchesCondition(
+      condition: Condition,
+      attributes: Attributes
+    ): boolean
+    static transformAttributes(
+      attributes: Attributes,
+      constraints: Constraints,
+      options?: ValidatorOptions,
+      transforms?: { [name: string]: TransformFunction }
+    ): Attributes
     static extend<T extends object>(obj: T, ...sources: Partial<T>[]): T
     static result<T>(value: T | ((...args: any[]) => T), ...args: any[]): T
 
@@ -334,8 +697,11 @@ declare module 'neovalidate' {
       callback: (obj: any, key: string, last: boolean) => any
     ): any
     static getDeepObjectValue(obj: any, keypath: string): any
+    static expandKeypath(obj: any, keypath: string): string[]
 
     static pruneEmptyErrors(errors: ValidationError[]): ValidationError[]
+    static isRecordAttribute(attribute: string): boolean
+    static expandRecordErrors(errors: ValidationError[]): ValidationError[]
     static expandMultipleErrors(errors: ValidationError[]): ValidationError[]
     static convertErrorMessages(
       errors: ValidationError[],
@@ -350,3 +716,61 @@ declare module 'neovalidate' {
     static error(msg: string): void
   }
 }
+
+declare module 'neovalidate/compat' {
+  import Validator from 'neovalidate'
+
+  type Options = ConstructorParameters<typeof Validator>[0]
+
+  interface Validate {
+    (
+      attributes: Parameters<typeof Validator.validate>[0],
+      constraints: Parameters<typeof Validator.validate>[1],
+      options?: Options
+    ): ReturnType<typeof Validator.validate>
+    async: typeof Validator.validateAsync & { options: Options }
+    single: typeof Validator.single & { options: Options }
+    options: Options
+    validators: typeof Validator.validators
+    formatters: typeof Validator.formatters
+    Promise: typeof Validator.Promise
+    EMPTY_STRING_REGEXP: RegExp
+    extend: typeof Validator.extend
+    result: typeof Validator.result
+    isNumber: typeof Validator.isNumber
+    isFunction: typeof Validator.isFunction
+    isInteger: typeof Validator.isInteger
+    isBoolean: typeof Validator.isBoolean
+    isObject: typeof Validator.isObject
+    isDate: typeof Validator.isDate
+    isDefined: typeof Validator.isDefined
+    isPromise: typeof Validator.isPromise
+    isJqueryElement: typeof Validator.isJqueryElement
+    isDomElement: typeof Validator.isDomElement
+    isEmpty: typeof Validator.isEmpty
+    format: typeof Validator.format
+    prettify: typeof Validator.prettify
+    stringifyValue: typeof Validator.stringifyValue
+    isString: typeof Validator.isString
+    isArray: typeof Validator.isArray
+    isHash: typeof Validator.isHash
+    contains: typeof Validator.contains
+    unique: typeof Validator.unique
+    forEachKeyInKeypath: typeof Validator.forEachKeyInKeypath
+    getDeepObjectValue: typeof Validator.getDeepObjectValue
+    collectFormValues: typeof Validator.collectFormValues
+    sanitizeFormValue: typeof Validator.sanitizeFormValue
+    capitalize: typeof Validator.capitalize
+    pruneEmptyErrors: typeof Validator.pruneEmptyErrors
+    expandMultipleErrors: typeof Validator.expandMultipleErrors
+    convertErrorMessages: typeof Validator.convertErrorMessages
+    groupErrorsByAttribute: typeof Validator.groupErrorsByAttribute
+    flattenErrorsToArray: typeof Validator.flattenErrorsToArray
+    cleanAttributes: typeof Validator.cleanAttributes
+    warn: typeof Validator.warn
+    error: typeof Validator.error
+  }
+
+  const validate: Validate
+  export default validate
+}
@@ -10,11 +10,22 @@ http://validatejs.org/
 
 'use strict'
 
+import PHONE_REGIONS from './phone-regions.js'
+
 export default class Validator {
   #options
+  #validators
+  #formatters
+  #transforms
+
+  static #defaultInstance
 
   static Promise = typeof Promise !== 'undefined' ? Promise : null
   static EMPTY_STRING_REGEXP = /^\s*$/
+  static WILDCARD = '*'
+  static RECORD_KEY = '$record'
+  // Constraint keys handled by the pipeline itself rather than by a validator
+  static RESERVED_KEYS = ['default', 'transform', 'if', 'unless', 'when', 'on']
 
   constructor(options = {}) {
     this.#options = {
@@ -24,19 +35,160 @@ export default class Validator {
       nullify: true,
       ...options
     }
+    // Instance registry falls back to the shared built-ins through its
+    // prototype, so own entries shadow them without touching other instances
+    this.#validators = Object.create(Validator.validators)
+    this.#formatters = Object.create(Validator.formatters)
+    this.#transforms = Object.create(Validator.transforms)
+  }
+
+  // Shared checks of the add and override methods of every registry. Removed
+  // entries are null, so they count as unknown like names never registered.
+  static #register(registry, label, name, fn, options = {}) {
+    const { override = false, unknown = label.toLowerCase() } = options
+    if (!override && registry[name]) {
+      throw new Error(
+        Validator.format(
+          '%{label} %{name} is already registered, use override%{label} instead',
+          { label, name }
+        )
+      )
+    }
+    if (override && !registry[name]) {
+      throw new Error(
+        Validator.format('Unknown %{unknown} %{name}', { unknown, name })
+      )
+    }
+    if (!Validator.isFunction(fn)) {
+      throw new Error(
+        Validator.format('%{label} %{name} must be a function', { label, name })
+      )
+    }
+    registry[name] = fn
+  }
+
+  getValidator(name) {
+    return this.#validators[name] || undefined
+  }
+
+  addValidator(name, validator) {
+    Validator.#register(this.#validators, 'Validator', name, validator)
+    return this
+  }
+
+  overrideValidator(name, override) {
+    const base = this.getValidator(name)
+    let validator = override
+
+    if (base && !Validator.isFunction(override)) {
+      // Copy the validator so message and option overrides stay local
+      const copy = function (...args) {
+        return base.apply(this, args)
+      }
+      validator = Object.assign(copy, base, override)
+    }
+    Validator.#register(this.#validators, 'Validator', name, validator, {
+      override: true
+    })
+    return this
+  }
+
+  removeValidator(name) {
+    this.#validators[name] = null
+    return this
+  }
+
+  getFormatter(name) {
+    return this.#formatters[name] || undefined
+  }
+
+  addFormatter(name, formatter) {
+    Validator.#register(this.#formatters, 'Formatter', name, formatter)
+    return this
+  }
+
+  overrideFormatter(name, formatter) {
+    Validator.#register(this.#formatters, 'Formatter', name, formatter, {
+      override: true,
+      unknown: 'format'
+    })
+    return this
+  }
+
+  removeFormatter(name) {
+    this.#formatters[name] = null
+    return this
+  }
+
+  getTransform(name) {
+    return this.#transforms[name] || undefined
+  }
+
+  addTransform(name, transform) {
+    Validator.#register(this.#transforms, 'Transform', name, transform)
+    return this
+  }
+
+  overrideTransform(name, transform) {
+    Validator.#register(this.#transforms, 'Transform', name, transform, {
+      override: true
+    })
+    return this
+  }
+
+  removeTransform(name) {
+    this.#transforms[name] = null
+    return this
   }
 
   validate(attributes, constraints, options = {}) {
     const opts = { ...this.#options, ...options }
-    const results = Validator.#runValidations(attributes, constraints, opts)
+    attributes = Validator.transformAttributes(
+      Validator.#collectAttributes(attributes),
+      constraints,
+      opts,
+      this.#transforms
+    )
+    return this.#validateSync(attributes, constraints, opts)
+  }
 
-    if (results.some((r) => Validator.isPromise(r.error))) {
-      throw new Error('Use validate.async if you want support for promises')
+  async validateAsync(attributes, constraints, options = {}) {
+    const opts = { ...this.#options, ...options }
+    const { errors, data } = await this.safeValidateAsync(
+      attributes,
+      constraints,
+      opts
+    )
+
+    if (errors) {
+      if (opts.wrapErrors) {
+        throw new opts.wrapErrors(errors, opts, data, constraints)
+      } else {
+        throw errors
+      }
     }
-    return Validator.#processValidationResults(results, opts)
+
+    return data
   }
 
-  async validateAsync(attributes, constraints, options = {}) {
+  safeValidate(attributes, constraints, options = {}) {
+    const opts = { ...this.#options, ...options }
+    attributes = Validator.transformAttributes(
+      Validator.#collectAttributes(attributes),
+      constraints,
+      opts,
+      this.#transforms
+    )
+
+    const errors = this.#validateSync(attributes, constraints, opts)
+    const data = opts.cleanAttributes
+      ? Validator.cleanAttributes(attributes, constraints)
+      : attributes
+
+    return { valid: !errors, errors, data }
+  }
+
+  async safeValidateAsync(attributes, constraints, options = {}) {
     const opts = { ...this.#options, ...options }
 
     // Check if Promise is available
@@ -44,28 +196,29 @@ export default class Validator {
       throw new Error('Promise support is required for async validation')
     }
 
+    attributes = Validator.transformAttributes(
+      Validator.#collectAttributes(attributes),
+      constraints,
+      opts,
+      this.#transforms
+    )
+    // Unknown attributes have to be found before they are cleaned away
+    const unknown = Validator.#strictResults(attributes, constraints, opts)
     if (opts.cleanAttributes) {
       attributes = Validator.cleanAttributes(attributes, constraints)
     }
 
-    const results = Validator.#runValidations(attributes, constraints, opts)
-
-    const hasPromises = results.some((r) => Validator.isPromise(r.error))
-    if (hasPromises) {
-      await Validator.#waitForResults(results)
-    }
-
-    const errors = Validator.#processValidationResults(results, opts)
-
-    if (errors) {
-      if (opts.wrapErrors) {
-        throw new opts.wrapErrors(errors, opts, attributes, constraints)
-      } else {
-        throw errors
-      }
-    }
+    const results = await this.#runValidationsAsync(
+      attributes,
+      constraints,
+      opts
+    )
+    const errors = this.#processValidationResults(
+      [...results, ...unknown],
+      opts
+    )
 
-    return attributes
+    return { valid: !errors, errors, data: attributes }
   }
 
   single(value, constraints, options = {}) {
@@ -78,82 +231,249 @@ export default class Validator {
     return this.validate({ single: value }, { single: constraints }, opts)
   }
 
-  static #runValidations(attributes, constraints, options) {
-    const results = []
+  // Lazily created so it is built from the fully defined class, and so the
+  // static entry points share one registry with Validator.validators
+  static #getDefaultInstance() {
+    Validator.#defaultInstance ??= new Validator()
+    return Validator.#defaultInstance
+  }
 
-    if (
-      Validator.isDomElement(attributes) ||
-      Validator.isJqueryElement(attributes)
-    ) {
-      attributes = Validator.collectFormValues(attributes)
+  static validate(attributes, constraints, options) {
+    return Validator.#getDefaultInstance().validate(
+      attributes,
+      constraints,
+      options
+    )
+  }
+
+  static validateAsync(attributes, constraints, options) {
+    return Validator.#getDefaultInstance().validateAsync(
+      attributes,
+      constraints,
+      options
+    )
+  }
+
+  static single(value, constraints, options) {
+    return Validator.#getDefaultInstance().single(value, constraints, options)
+  }
+
+  static safeValidate(attributes, constraints, options) {
+    return Validator.#getDefaultInstance().safeValidate(
+      attributes,
+      constraints,
+      options
+    )
+  }
+
+  static safeValidateAsync(attributes, constraints, options) {
+    return Validator.#getDefaultInstance().safeValidateAsync(
+      attributes,
+      constraints,
+      options
+    )
+  }
+
+  #validateSync(attributes, constraints, options) {
+    const results = [
+      ...this.#runValidations(attributes, constraints, options),
+      ...Validator.#strictResults(attributes, constraints, options)
+    ]
+
+    if (results.some((r) => Validator.isPromise(r.error))) {
+      throw new Error('Use validate.async if you want support for promises')
     }
+    return this.#processValidationResults(results, options)
+  }
 
-    for (const attr in constraints) {
-      const value = Validator.getDeepObjectValue(attributes, attr)
-      const validators = Validator.result(
-        constraints[attr],
-        value,
-        attributes,
-        attr,
-        options,
-        constraints
-      )
+  *#runValidations(attributes, constraints, options, prefix = '') {
+    let failed = false
 
-      for (const validatorName in validators) {
-        const validator = Validator.validators[validatorName]
+    attributes = Validator.#collectAttributes(attributes)
 
-        if (!validator) {
-          throw new Error(
-            Validator.format('Unknown validator %{name}', {
-              name: validatorName
-            })
-          )
+    for (const keypath in constraints) {
+      for (const attr of Validator.expandKeypath(attributes, keypath)) {
+        if (!Validator.#isSelected(prefix + keypath, prefix + attr, options)) {
+          continue
         }
 
-        let validatorOptions = validators[validatorName]
-        validatorOptions = Validator.result(
-          validatorOptions,
-          value,
+        // Record validators get the whole attributes object as their value
+        const value =
+          attr === Validator.RECORD_KEY
+            ? attributes
+            : Validator.getDeepObjectValue(attributes, attr)
+        if (options.skipMissing && value === undefined) continue
+
+        const validators = Validator.#applyConditions(
+          Validator.result(
+            constraints[keypath],
+            value,
+            attributes,
+            attr,
+            options,
+            constraints
+          ),
           attributes,
-          attr,
-          options,
-          constraints
+          options
         )
 
-        if (!validatorOptions) continue
+        for (const validatorName in validators) {
+          if (Validator.RESERVED_KEYS.includes(validatorName)) continue
 
-        results.push({
-          attribute: attr,
-          value,
-          validator: validatorName,
-          globalOptions: options,
-          attributes,
-          options: validatorOptions,
-          error: validator.call(
-            validator,
-            value,
+          const validator = this.getValidator(validatorName)
+
+          if (!validator) {
+            throw new Error(
+              Validator.format('Unknown validator %{name}', {
+                name: validatorName
+              })
+            )
+          }
+
+          let validatorOptions = validators[validatorName]
+          validatorOptions = Validator.result(
             validatorOptions,
-            attr,
+            value,
             attributes,
-            options
+            attr,
+            options,
+            constraints
           )
-        })
+
+          if (!validatorOptions) continue
+          if (
+            !validator.nested &&
+            Validator.isHash(validatorOptions) &&
+            !Validator.matchesContext(validatorOptions.on, options.context)
+          ) {
+            continue
+          }
+
+          const result = {
+            attribute: prefix + attr,
+            value,
+            validator: validatorName,
+            globalOptions: options,
+            attributes,
+            options: validatorOptions,
+            error: validator.call(
+              validator,
+              value,
+              validatorOptions,
+              attr,
+              attributes,
+              options,
+              this
+            )
+          }
+          yield result
+
+          let attrFailed = !Validator.isEmpty(result.error)
+
+          // Nested validators hand their constraints back to the pipeline,
+          // which runs them against the sub-object under the parent keypath
+          if (validator.nested && !attrFailed && Validator.isHash(value)) {
+            attrFailed = yield* this.#runValidations(
+              value,
+              validatorOptions,
+              options,
+              `${prefix}${attr}.`
+            )
+          }
+
+          if (!attrFailed) continue
+          failed = true
+          if (options.abortEarly === 'attribute') break
+          if (options.abortEarly) return failed
+        }
       }
     }
 
-    return results
+    return failed
+  }
+
+  // Selecting a keypath also selects the attributes below it, and the ones
+  // above it so nested constraints still reach it
+  static #isSelected(keypath, attr, options) {
+    if (!Validator.isDefined(options.only)) return true
+
+    return []
+      .concat(options.only)
+      .some(
+        (only) =>
+          keypath === only ||
+          attr === only ||
+          attr.startsWith(`${only}.`) ||
+          only.startsWith(`${attr}.`)
+      )
   }
 
-  static #processValidationResults(errors, options) {
+  static #applyConditions(validators, attributes, options) {
+    if (!Validator.isHash(validators)) return validators
+
+    if (
+      !Validator.matchesContext(validators.on, options.context) ||
+      ('if' in validators &&
+        !Validator.matchesCondition(validators.if, attributes)) ||
+      ('unless' in validators &&
+        Validator.matchesCondition(validators.unless, attributes))
+    ) {
+      return {}
+    }
+
+    if (!Validator.isDefined(validators.when)) return validators
+
+    const cases = Validator.isArray(validators.when)
+      ? validators.when
+      : [validators.when]
+    const ret = { ...validators }
+    cases.forEach((c) => {
+      const matches = Validator.matchesCondition(c.if, attributes)
+      Object.assign(ret, matches ? c.then : c.otherwise)
+    })
+    return ret
+  }
+
+  static #strictResults(attributes, constraints, options) {
+    if (!options.strict) return []
+
+    const message = options.strictMessage || 'is not allowed'
+    return Validator.findUnknownAttributes(attributes, constraints).map(
+      (attribute) => ({
+        attribute,
+        value: Validator.getDeepObjectValue(attributes, attribute),
+        validator: 'strict',
+        globalOptions: options,
+        attributes,
+        options: true,
+        error: message
+      })
+    )
+  }
+
+  static #collectAttributes(attributes) {
+    if (
+      Validator.isDomElement(attributes) ||
+      Validator.isJqueryElement(attributes)
+    ) {
+      return Validator.collectFormValues(attributes)
+    }
+    return attributes
+  }
+
+  #processValidationResults(errors, options) {
+    errors = Validator.expandRecordErrors(errors)
     errors = Validator.pruneEmptyErrors(errors)
     errors = Validator.expandMultipleErrors(errors)
     errors = Validator.convertErrorMessages(errors, options)
 
     const format = options.format || 'grouped'
-    const formatter = Validator.formatters[format]
+    const formatter = Validator.isFunction(format)
+      ? format
+      : this.getFormatter(format)
 
     if (typeof formatter === 'function') {
-      errors = formatter(errors)
+      errors = formatter(errors, options)
     } else {
       throw new Error(Validator.format('Unknown format %{format}', options))
     }
@@ -161,41 +481,153 @@ export default class Validator {
     return Validator.isEmpty(errors) ? undefined : errors
   }
 
-  static #waitForResults(results) {
-    return results.reduce((memo, result) => {
-      if (!Validator.isPromise(result.error)) return memo
+  async #runValidationsAsync(attributes, constraints, options) {
+    const { signal } = options
+    const abortReason = () =>
+      signal.reason ?? new Error('The validation was aborted')
 
-      return memo.then(() =>
-        result.error.then((error) => {
-          result.error = error || null
-        })
-      )
-    }, Validator.Promise.resolve())
+    if (signal?.aborted) throw abortReason()
+
+    let onAbort
+    const aborted =
+      signal &&
+      new Validator.Promise((_, reject) => {
+        onAbort = () => reject(abortReason())
+        signal.addEventListener('abort', onAbort, { once: true })
+      })
+    const wait = (promise) =>
+      aborted ? Validator.Promise.race([promise, aborted]) : promise
+
+    const results = []
+    const pending = new Set()
+    const validations = this.#runValidations(attributes, constraints, options)
+
+    try {
+      for (const result of validations) {
+        results.push(result)
+        if (!Validator.isPromise(result.error)) continue
+
+        const settled = Validator.#settleResult(result, options)
+
+        // Aborting early needs to know whether a validator failed before the
+        // next one runs, so its promise is settled right away
+        if (options.abortEarly) {
+          await wait(settled)
+          continue
+        }
+
+        const tracked = settled.then(() => pending.delete(tracked))
+        pending.add(tracked)
+
+        // The next validator only starts once a slot is free
+        if (options.concurrency > 0 && pending.size >= options.concurrency) {
+          await wait(Validator.Promise.race(pending))
+        }
+      }
+
+      await wait(Validator.Promise.all(pending))
+    } finally {
+      signal?.removeEventListener('abort', onAbort)
+    }
+
+    return results
   }
 
-  static cleanAttributes(attributes, whitelist) {
-    const whitelistCreator = (obj, key, last) => {
-      if (Validator.isObject(obj[key])) return obj[key]
-      return (obj[key] = last ? true : {})
+  static #settleResult(result, options) {
+    const timeout =
+      Validator.isHash(result.options) &&
+      Validator.isNumber(result.options.timeout)
+        ? result.options.timeout
+        : options.timeout
+
+    if (!Validator.isNumber(timeout)) {
+      return result.error.then((error) => {
+        result.error = error || null
+      })
     }
 
-    const buildObjectWhitelist = (whitelist) => {
-      const ow = {}
-      for (const attr in whitelist) {
-        if (whitelist[attr]) {
-          Validator.forEachKeyInKeypath(ow, attr, whitelistCreator)
+    let timer
+    const timedOut = {}
+    const expired = new Validator.Promise((resolve) => {
+      timer = setTimeout(() => resolve(timedOut), timeout)
+    })
+
+    return Validator.Promise.race([result.error, expired])
+      .then((error) => {
+        if (error === timedOut) {
+          const message =
+            options.timeoutMessage || 'timed out after %{timeout}ms'
+          result.timedOut = true
+          result.error = Validator.format(message, { timeout })
+        } else {
+          result.error = error || null
         }
+      })
+      .finally(() => clearTimeout(timer))
+  }
+
+  static #buildObjectWhitelist(whitelist) {
+    const ow = {}
+
+    for (const attr in whitelist) {
+      if (!whitelist[attr]) continue
+
+      // Attributes with nested constraints only allow the nested keys
+      const { nested } = Validator.isHash(whitelist[attr])
+        ? whitelist[attr]
+        : {}
+      const allowed = Validator.isHash(nested)
+        ? Validator.#buildObjectWhitelist(nested)
+        : true
+
+      Validator.forEachKeyInKeypath(ow, attr, (obj, key, last) => {
+        if (last && Validator.isObject(allowed)) {
+          return (obj[key] = Validator.isObject(obj[key])
+            ? { ...obj[key], ...allowed }
+            : allowed)
+        }
+        if (Validator.isObject(obj[key])) return obj[key]
+        return (obj[key] = last ? true : {})
+      })
+    }
+
+    return ow
+  }
+
+  // Entries for a specific key and for the wildcard both apply to that key
+  static #whitelistFor(whitelist, key) {
+    const merge = (a, b) => {
+      if (!a || b === true) return b
+      if (!b || a === true) return a
+
+      const merged = { ...a }
+      for (const k in b) {
+        merged[k] = merge(a[k], b[k])
       }
-      return ow
+      return merged
     }
 
+    return merge(whitelist[key], whitelist[Validator.WILDCARD])
+  }
+
+  static cleanAttributes(attributes, whitelist) {
     const cleanRecursive = (attributes, whitelist) => {
       if (!Validator.isObject(attributes)) return attributes
 
+      // Elements are cleaned in place, so an element without constraints
+      // becomes undefined and the indexes of the others stay the same
+      if (Validator.isArray(attributes)) {
+        return attributes.map((element, index) => {
+          const w = Validator.#whitelistFor(whitelist, index)
+          if (Validator.isObject(w)) return cleanRecursive(element, w)
+          return w ? element : undefined
+        })
+      }
+
       const ret = { ...attributes }
 
       for (const attribute in attributes) {
-        const w = whitelist[attribute]
+        const w = Validator.#whitelistFor(whitelist, attribute)
         if (Validator.isObject(w)) {
           ret[attribute] = cleanRecursive(ret[attribute], w)
         } else if (!w) {
@@ -210,10 +642,180 @@ export default class Validator {
       return {}
     }
 
-    whitelist = buildObjectWhitelist(whitelist)
+    whitelist = Validator.#buildObjectWhitelist(whitelist)
     return cleanRecursive(attributes, whitelist)
   }
 
+  static findUnknownAttributes(attributes, whitelist) {
+    const findRecursive = (attributes, whitelist, prefix) => {
+      if (!Validator.isObject(attributes)) return []
+
+      const unknown = []
+      for (const attribute in attributes) {
+        const w = Validator.#whitelistFor(whitelist, attribute)
+        const keypath = prefix + Validator.#escapeKey(attribute)
+        if (Validator.isObject(w)) {
+          unknown.push(
+            ...findRecursive(attributes[attribute], w, `${keypath}.`)
+          )
+        } else if (!w) {
+          unknown.push(keypath)
+        }
+      }
+      return unknown
+    }
+
+    if (!Validator.isObject(whitelist) || !Validator.isObject(attributes)) {
+      return []
+    }
+
+    return findRecursive(
+      attributes,
+      Validator.#buildObjectWhitelist(whitelist),
+      ''
+    )
+  }
+
+  // Named transforms are looked up in `transforms`, the instance registry
+  // when called through validate
+  static transformAttributes(
+    attributes,
+    constraints,
+    options = {},
+    transforms = Validator.transforms
+  ) {
+    if (!Validator.isObject(attributes) || !Validator.isObject(constraints)) {
+      return attributes
+    }
+
+    const applyTransform = (value, transform, attr) => {
+      const fn = Validator.isFunction(transform)
+        ? transform
+        : transforms[transform]
+
+      if (!Validator.isFunction(fn)) {
+        throw new Error(
+          Validator.format('Unknown transform %{name}', { name: transform })
+        )
+      }
+      return fn(value, attr, attributes)
+    }
+
+    // Copies every object along the keypath so the input is never mutated,
+    // creates missing parents and leaves it alone when a parent is set to
+    // something else
+    const setValue = (obj, keys, value) => {
+      if (Validator.isDefined(obj) && !Validator.isObject(obj)) return obj
+
+      const [key, ...rest] = keys
+      const copy = Validator.isArray(obj) ? [...obj] : { ...obj }
+      copy[key] = rest.length ? setValue(obj?.[key], rest, value) : value
+      return copy
+    }
+
+    for (const keypath in constraints) {
+      // Defaults and transforms follow the same contexts and conditions as
+      // the validators next to them
+      const constraint = Validator.#applyConditions(
+        constraints[keypath],
+        attributes,
+        options
+      )
+      if (!Validator.isHash(constraint)) continue
+
+      for (const attr of Validator.expandKeypath(attributes, keypath)) {
+        const original = Validator.getDeepObjectValue(attributes, attr)
+        let value = original
+
+        // Partial updates must not fill in what the client didn't send
+        if (
+          value === undefined &&
+          'default' in constraint &&
+          !options.skipMissing
+        ) {
+          value = Validator.result(constraint.default, attributes, attr)
+        }
+        if (value === undefined) continue
+
+        if (Validator.isDefined(constraint.transform)) {
+          const transforms = Validator.isArray(constraint.transform)
+            ? constraint.transform
+            : [constraint.transform]
+          transforms.forEach((transform) => {
+            value = applyTransform(value, transform, attr)
+          })
+        }
+
+        if (Validator.isHash(constraint.nested) && Validator.isHash(value)) {
+          value = Validator.transformAttributes(
+            value,
+            constraint.nested,
+            options,
+            transforms
+          )
+        }
+
+        if (value !== original) {
+          const keys = []
+          Validator.forEachKeyInKeypath(null, attr, (_, key) => keys.push(key))
+          attributes = setValue(attributes, keys, value)
+        }
+      }
+    }
+
+    return attributes
+  }
+
+  // Rules without an `on` tag apply in every context, tagged rules only when
+  // one of their contexts is being validated
+  static matchesContext(on, context) {
+    if (!Validator.isDefined(on)) return true
+
+    const contexts = [].concat(context ?? [])
+    return [].concat(on).some((c) => contexts.includes(c))
+  }
+
+  static matchesCondition(condition, attributes) {
+    if (Validator.isString(condition)) {
+      condition = { attribute: condition, present: true }
+    }
+
+    if (!Validator.isHash(condition)) {
+      throw new Error('A condition must be an attribute name or an object')
+    }
+
+    const value = Validator.getDeepObjectValue(attributes, condition.attribute)
+
+    return Object.keys(condition).every((operator) => {
+      const operand = condition[operator]
+
+      switch (operator) {
+        case 'attribute':
+          return true
+        case 'equals':
+          return value === operand
+        case 'notEquals':
+          return value !== operand
+        case 'in':
+          return Validator.contains(operand, value)
+        case 'notIn':
+          return !Validator.contains(operand, value)
+        case 'present':
+          return Validator.isEmpty(value) !== operand
+        case 'all':
+          return operand.every((c) => Validator.matchesCondition(c, attributes))
+        case 'any':
+          return operand.some((c) => Validator.matchesCondition(c, attributes))
+        case 'not':
+          return !Validator.matchesCondition(operand, attributes)
+        default:
+          throw new Error(
+            Validator.format('Unknown condition %{operator}', { operator })
+          )
+      }
+    })
+  }
+
   static extend(obj, ...sources) {
     sources.forEach((source) => {
       for (const attr in source) {
@@ -326,7 +928,7 @@ export default class Validator {
     }
 
     return String(str)
-      .replace(/([^\s])\.([^\s])/g, '$1 $2')
+      .replace(/([^\s])\.(?=[^\s])/g, '$1 ')
       .replace(/\\+/g, '')
       .replace(/[_-]/g, ' ')
       .replace(/([a-z])([A-Z])/g, (m0, m1, m2) => `${m1} ${m2.toLowerCase()}`)
@@ -400,6 +1002,60 @@ export default class Validator {
     return callback(object, key, true)
   }
 
+  static expandKeypath(obj, keypath) {
+    if (!Validator.isString(keypath)) return [keypath]
+
+    // Split on unescaped dots but keep the escapes, so an escaped \* stays
+    // a literal key instead of a wildcard
+    const segments = ['']
+    for (let i = 0; i < keypath.length; ++i) {
+      if (keypath[i] === '\\') {
+        segments[segments.length - 1] += keypath[i] + (keypath[i + 1] ?? '')
+        ++i
+      } else if (keypath[i] === '.') {
+        segments.push('')
+      } else {
+        segments[segments.length - 1] += keypath[i]
+      }
+    }
+
+    if (!segments.includes(Validator.WILDCARD)) return [keypath]
+
+    let matches = [{ path: [], value: obj }]
+    for (const segment of segments) {
+      const next = []
+      matches.forEach(({ path, value }) => {
+        if (segment !== Validator.WILDCARD) {
+          next.push({
+            path: [...path, segment],
+            value: Validator.getDeepObjectValue(value, segment)
+          })
+          return
+        }
+
+        let keys = []
+        if (Validator.isArray(value)) {
+          keys = value.map((_, index) => String(index))
+        } else if (Validator.isHash(value)) {
+          keys = Object.keys(value)
+        }
+        keys.forEach((key) => {
+          next.push({
+            path: [...path, Validator.#escapeKey(key)],
+            value: value[key]
+          })
+        })
+      })
+      matches = next
+    }
+
+    return matches.map(({ path }) => path.join('.'))
+  }
+
+  static #escapeKey(key) {
+    return String(key).replace(/[\\.]/g, '\\$&')
+  }
+
   static getDeepObjectValue(obj, keypath) {
     if (!Validator.isObject(obj)) return undefined
     return Validator.forEachKeyInKeypath(obj, keypath, (obj, key) =>
@@ -476,6 +1132,39 @@ export default class Validator {
     return errors.filter((error) => !Validator.isEmpty(error.error))
   }
 
+  static isRecordAttribute(attribute) {
+    return (
+      Validator.isString(attribute) &&
+      (attribute === Validator.RECORD_KEY ||
+        attribute.endsWith(`.${Validator.RECORD_KEY}`))
+    )
+  }
+
+  // Record validators may return an object of errors keyed by attribute
+  static expandRecordErrors(errors) {
+    const ret = []
+    errors.forEach((error) => {
+      if (
+        !Validator.isRecordAttribute(error.attribute) ||
+        !Validator.isHash(error.error)
+      ) {
+        ret.push(error)
+        return
+      }
+
+      const prefix = error.attribute.slice(0, -Validator.RECORD_KEY.length)
+      for (const attribute in error.error) {
+        ret.push({
+          ...error,
+          attribute: prefix + attribute,
+          value: Validator.getDeepObjectValue(error.value, attribute),
+          error: error.error[attribute]
+        })
+      }
+    })
+    return ret
+  }
+
   static expandMultipleErrors(errors) {
     const ret = []
     errors.forEach((error) => {
@@ -511,7 +1200,10 @@ export default class Validator {
 
       if (error[0] === '^') {
         error = error.slice(1)
-      } else if (options.fullMessages !== false) {
+      } else if (
+        options.fullMessages !== false &&
+        !Validator.isRecordAttribute(errorInfo.attribute)
+      ) {
         error = `${Validator.capitalize(
           prettify(errorInfo.attribute)
         )} ${error}`
@@ -559,6 +1251,75 @@ export default class Validator {
     }
   }
 
+  static #inNetwork(bytes, network) {
+    for (let bit = 0; bit < network.prefix; bit++) {
+      const mask = 0x80 >> bit % 8
+      const index = Math.floor(bit / 8)
+      if ((bytes[index] & mask) !== (network.bytes[index] & mask)) return false
+    }
+    return true
+  }
+
+  // Validators building on other validators find them in the registry of the
+  // instance running them, so overrides apply to both
+  static #lookupValidator(name, instance) {
+    return instance?.getValidator(name) || Validator.validators[name]
+  }
+
+  static #isMissing(value, options) {
+    return options.allowEmpty !== false
+      ? !Validator.isDefined(value)
+      : Validator.isEmpty(value)
+  }
+
+  static #otherAttribute(options) {
+    if (
+      Validator.isEmpty(options.attribute) ||
+      !Validator.isString(options.attribute)
+    ) {
+      throw new Error('The attribute must be a non empty string')
+    }
+    return options.attribute
+  }
+
+  static #otherValueMatches(other, attributes, options) {
+    if (!('value' in options)) {
+      throw new Error('The value must be given')
+    }
+    const otherValue = Validator.getDeepObjectValue(attributes, other)
+    return Validator.isArray(options.value)
+      ? Validator.contains(options.value, otherValue)
+      : otherValue === options.value
+  }
+
+  static #otherAttributes(options) {
+    if (Validator.isString(options) || Validator.isArray(options)) {
+      options = { attributes: options }
+    }
+
+    const attributes = [].concat(options.attributes ?? [])
+    if (
+      !attributes.length ||
+      attributes.some((a) => !Validator.isString(a) || Validator.isEmpty(a))
+    ) {
+      throw new Error('The attributes must be non empty strings')
+    }
+    return { ...options, attributes }
+  }
+
+  static #formatRequired(message, others, options, globalOptions) {
+    const prettify =
+      options.prettify || globalOptions?.prettify || Validator.prettify
+    return Validator.format(message, {
+      attribute: others
+        .map((other) => prettify(other))
+        .join(options.all ? ' and ' : ' or '),
+      expected: Validator.isArray(options.value)
+        ? options.value.join(', ')
+        : options.value
+    })
+  }
+
   static validators = {
     presence(value, options) {
       const opts = { ...this.options, ...options }
@@ -571,6 +1332,83 @@ export default class Validator {
         : undefined
     },
 
+    requiredIf(value, options, attribute, attributes, globalOptions) {
+      const opts = { ...this.options, ...options }
+      const other = Validator.#otherAttribute(opts)
+      const matches = Validator.#otherValueMatches(other, attributes, opts)
+      if (!matches || !Validator.#isMissing(value, opts)) return
+
+      const message =
+        opts.message ||
+        this.message ||
+        'is required when %{attribute} is %{expected}'
+      return Validator.#formatRequired(message, [other], opts, globalOptions)
+    },
+
+    requiredUnless(value, options, attribute, attributes, globalOptions) {
+      const opts = { ...this.options, ...options }
+      const other = Validator.#otherAttribute(opts)
+      const matches = Validator.#otherValueMatches(other, attributes, opts)
+      if (matches || !Validator.#isMissing(value, opts)) return
+
+      const message =
+        opts.message ||
+        this.message ||
+        'is required unless %{attribute} is %{expected}'
+      return Validator.#formatRequired(message, [other], opts, globalOptions)
+    },
+
+    requiredWith(value, options, attribute, attributes, globalOptions) {
+      const opts = { ...this.options, ...Validator.#otherAttributes(options) }
+      const present = opts.attributes.map(
+        (other) =>
+          !Validator.#isMissing(
+            Validator.getDeepObjectValue(attributes, other),
+            opts
+          )
+      )
+      const required = opts.all
+        ? present.every((p) => p)
+        : present.some((p) => p)
+      if (!required || !Validator.#isMissing(value, opts)) return
+
+      const message =
+        opts.message ||
+        this.message ||
+        'is required when %{attribute} is present'
+      return Validator.#formatRequired(
+        message,
+        opts.attributes,
+        opts,
+        globalOptions
+      )
+    },
+
+    requiredWithout(value, options, attribute, attributes, globalOptions) {
+      const opts = { ...this.options, ...Validator.#otherAttributes(options) }
+      const missing = opts.attributes.map((other) =>
+        Validator.#isMissing(
+          Validator.getDeepObjectValue(attributes, other),
+          opts
+        )
+      )
+      const required = opts.all
+        ? missing.every((m) => m)
+        : missing.some((m) => m)
+      if (!required || !Validator.#isMissing(value, opts)) return
+
+      const message =
+        opts.message ||
+        this.message ||
+        'is required when %{attribute} is missing'
+      return Validator.#formatRequired(
+        message,
+        opts.attributes,
+        opts,
+        globalOptions
+      )
+    },
+
     length(value, options) {
       if (!Validator.isDefined(value)) return
 
@@ -697,23 +1535,23 @@ export default class Validator {
 
     datetime: Object.assign(
       function (value, options) {
-        if (
-          !Validator.isFunction(this.parse) ||
-          !Validator.isFunction(this.format)
-        ) {
-          throw new Error(
-            'Both the parse and format functions needs to be set to use the datetime/date validator'
-          )
-        }
-
         if (!Validator.isDefined(value)) return
 
         const opts = { ...this.options, ...options }
         const errors = []
-        const earliest = opts.earliest ? this.parse(opts.earliest, opts) : NaN
-        const latest = opts.latest ? this.parse(opts.latest, opts) : NaN
-
-        value = this.parse(value, opts)
+        // Custom parse and format functions take precedence over ISO 8601
+        const parse = (v) =>
+          Validator.isFunction(this.parse)
+            ? this.parse(v, opts)
+            : this.parseISO(v, opts)
+        const format = (v) =>
+          Validator.isFunction(this.format)
+            ? this.format(v, opts)
+            : this.formatISO(v, opts)
+        const earliest = opts.earliest ? parse(opts.earliest) : NaN
+        const latest = opts.latest ? parse(opts.latest) : NaN
+
+        value = parse(value)
 
         if (isNaN(value) || (opts.dateOnly && value % 86400000 !== 0)) {
           const err =
@@ -732,8 +1570,8 @@ export default class Validator {
             'must be no earlier than %{date}'
           errors.push(
             Validator.format(err, {
-              value: this.format(value, opts),
-              date: this.format(earliest, opts)
+              value: format(value),
+              date: format(earliest)
             })
           )
         }
@@ -746,8 +1584,8 @@ export default class Validator {
             'must be no later than %{date}'
           errors.push(
             Validator.format(err, {
-              date: this.format(latest, opts),
-              value: this.format(value, opts)
+              date: format(latest),
+              value: format(value)
             })
           )
         }
@@ -756,16 +1594,73 @@ export default class Validator {
       },
       {
         parse: null,
-        format: null
+        format: null,
+        // Dates, and date-times with an optional UTC offset (UTC if omitted)
+        ISO_PATTERN:
+          /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?(?:Z|([+-])(\d{2})(?::?(\d{2}))?)?)?$/i,
+
+        // Returns the milliseconds since the epoch of an ISO 8601 string, a
+        // Date or an epoch number, or NaN
+        parseISO(value) {
+          if (Validator.isDate(value)) return value.getTime()
+          // Dates only hold 100,000,000 days either side of the epoch
+          if (Validator.isNumber(value)) return new Date(value).getTime()
+          if (!Validator.isString(value)) return NaN
+
+          const match = this.ISO_PATTERN.exec(value.trim())
+          if (!match) return NaN
+
+          const [year, month, day, hour = 0, minute = 0, second = 0] = match
+            .slice(1, 7)
+            .map((part) => part && +part)
+          const fraction = (match[7] || '').padEnd(3, '0').slice(0, 3)
+          // Date.UTC would read years 0 to 99 as 1900 to 1999
+          const date = new Date(0)
+          date.setUTCFullYear(year, month - 1, day)
+          date.setUTCHours(hour, minute, second)
+          const time = date.getTime()
+
+          // Out of range parts roll over, e.g. February 30th
+          if (
+            date.getUTCFullYear() !== year ||
+            date.getUTCMonth() !== month - 1 ||
+            date.getUTCDate() !== day ||
+            date.getUTCHours() !== hour ||
+            date.getUTCMinutes() !== minute
+          ) {
+            return NaN
+          }
+
+          const sign = match[8] === '-' ? -1 : 1
+          const [offsetHours = 0, offsetMinutes = 0] = match
+            .slice(9)
+            .map((part) => part && +part)
+          if (offsetHours > 23 || offsetMinutes > 59) return NaN
+
+          const offset = (offsetHours * 60 + offsetMinutes) * 60000
+          return time + +fraction - sign * offset
+        },
+
+        formatISO(value, options) {
+          const iso = new Date(value).toISOString()
+          return options?.dateOnly
+            ? iso.split('T')[0]
+            : iso.replace('.000Z', 'Z')
+        }
       }
     ),
 
-    date(value, options) {
+    date(value, options, attribute, attributes, globalOptions, instance) {
       const opts = { ...options, dateOnly: true }
-      return Validator.validators.datetime.call(
-        Validator.validators.datetime,
+      const datetime = Validator.#lookupValidator('datetime', instance)
+      return datetime.call(
+        datetime,
         value,
-        opts
+        opts,
+        attribute,
+        attributes,
+        globalOptions,
+        instance
       )
     },
 
@@ -814,28 +1709,104 @@ export default class Validator {
 
       const opts = { ...this.options, ...options }
 
-      if (!Validator.contains(opts.within, value)) return
+      if (!Validator.contains(opts.within, value)) return
+
+      let message = opts.message || this.message || '^%{value} is restricted'
+      if (Validator.isString(opts.within[value])) {
+        value = opts.within[value]
+      }
+      return Validator.format(message, { value })
+    },
+
+    email: Object.assign(
+      function (value, options) {
+        const opts = { ...this.options, ...options }
+        const message = opts.message || this.message || 'is not a valid email'
+
+        if (!Validator.isDefined(value)) return
+        if (!Validator.isString(value)) return message
+
+        return !this.PATTERN.exec(value) ? message : undefined
+      },
+      {
+        PATTERN:
+          /^(?!\.)(?!.*\.\.)([A-Z0-9_+-.]*)[A-Z0-9_+-]@([A-Z0-9][A-Z0-9-]*\.)+[A-Z]{2,}$/i
+      }
+    ),
+
+    uuid: Object.assign(
+      function (value, options) {
+        if (!Validator.isDefined(value)) return
+
+        if (!Validator.isHash(options) && options !== true) {
+          options = { version: options }
+        }
+
+        const opts = { ...this.options, ...options }
+        const notValid =
+          opts.message ||
+          opts.notValid ||
+          this.notValid ||
+          'is not a valid UUID'
+
+        if (!Validator.isString(value)) return notValid
+
+        let uuid = value
+        if (opts.allowUrn && /^urn:uuid:/i.test(uuid)) {
+          uuid = uuid.slice(9)
+        } else if (opts.allowBraces && /^\{.*\}$/.test(uuid)) {
+          uuid = uuid.slice(1, -1)
+        }
+
+        const version = this.versionOf(uuid)
+        if (!Validator.isDefined(version)) return notValid
 
-      let message = opts.message || this.message || '^%{value} is restricted'
-      if (Validator.isString(opts.within[value])) {
-        value = opts.within[value]
-      }
-      return Validator.format(message, { value })
-    },
+        const { letterCase } = opts
+        if (
+          (letterCase === 'lower' && uuid !== uuid.toLowerCase()) ||
+          (letterCase === 'upper' && uuid !== uuid.toUpperCase())
+        ) {
+          const message =
+            opts.message ||
+            opts.wrongCase ||
+            this.wrongCase ||
+            'must be %{case}case'
+          return Validator.format(message, { case: letterCase })
+        }
 
-    email: Object.assign(
-      function (value, options) {
-        const opts = { ...this.options, ...options }
-        const message = opts.message || this.message || 'is not a valid email'
+        const allowed = opts.version || this.version
+        const versions = [].concat(allowed || this.VERSIONS)
+        if (versions.includes(version)) return
 
-        if (!Validator.isDefined(value)) return
-        if (!Validator.isString(value)) return message
+        // The nil and max UUIDs are only valid when asked for explicitly
+        if (!allowed) return notValid
 
-        return !this.PATTERN.exec(value) ? message : undefined
+        const message =
+          opts.message ||
+          opts.wrongVersion ||
+          this.wrongVersion ||
+          'must be a version %{version} UUID'
+        return Validator.format(message, { version: versions.join(' or ') })
       },
       {
         PATTERN:
-          /^(?!\.)(?!.*\.\.)([A-Z0-9_+-.]*)[A-Z0-9_+-]@([A-Z0-9][A-Z0-9-]*\.)+[A-Z]{2,}$/i
+          /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+        VERSIONS: [1, 2, 3, 4, 5, 6, 7, 8],
+
+        // Returns 1 to 8, 'nil' or 'max', or undefined for anything that
+        // isn't an RFC 9562 UUID
+        versionOf(uuid) {
+          if (!this.PATTERN.test(uuid)) return
+
+          const hex = uuid.toLowerCase().replace(/-/g, '')
+          if (/^0+$/.test(hex)) return 'nil'
+          if (/^f+$/.test(hex)) return 'max'
+
+          const version = parseInt(hex[12], 16)
+          const variant = parseInt(hex[16], 16)
+          if (version < 1 || version > 8 || (variant & 0xc) !== 0x8) return
+          return version
+        }
       }
     ),
 
@@ -870,7 +1841,20 @@ export default class Validator {
         : undefined
     },
 
-    url(value, options) {
+    nested: Object.assign(
+      function (value, options) {
+        if (!Validator.isHash(options)) {
+          throw new Error('The nested validator needs a constraints object')
+        }
+
+        if (!Validator.isDefined(value) || Validator.isHash(value)) return
+
+        return this.message || 'must be an object'
+      },
+      { nested: true }
+    ),
+
+    url(value, options, attribute, attributes, globalOptions, instance) {
       if (!Validator.isDefined(value)) return
 
       const opts = { ...this.options, ...options }
@@ -900,6 +1884,9 @@ export default class Validator {
         '(?:\\.(?:1?\\d{1,2}|2[0-4]\\d|25[0-5])){2}' +
         '(?:\\.(?:[1-9]\\d?|1\\d\\d|2[0-4]\\d|25[0-4]))' +
         '|' +
+        // IPv6 hosts are checked by the ip validator below
+        '\\[([0-9a-f:.]+)\\]' +
+        '|' +
         '(?:(?:[a-z\\u00a1-\\uffff0-9]-*)*[a-z\\u00a1-\\uffff0-9]+)' +
         '(?:\\.(?:[a-z\\u00a1-\\uffff0-9]-*)*[a-z\\u00a1-\\uffff0-9]+)*' +
         tld +
@@ -916,9 +1903,741 @@ export default class Validator {
       }
 
       const PATTERN = new RegExp(regex, 'i')
-      return !PATTERN.exec(value) ? message : undefined
+      const match = PATTERN.exec(value)
+      if (!match) return message
+      if (!match[1]) return
+
+      // An ip override may be a plain function without the parsing helpers
+      let ip = Validator.#lookupValidator('ip', instance)
+      if (
+        !Validator.isFunction(ip.parse) ||
+        !Validator.isFunction(ip.rangeOf)
+      ) {
+        ip = Validator.validators.ip
+      }
+      const address = ip.parse(match[1])
+      if (!address || address.version !== 6 || address.prefix !== undefined) {
+        return message
+      }
+      const local = ['private', 'loopback', 'linkLocal']
+      return !allowLocal && local.includes(ip.rangeOf(address))
+        ? message
+        : undefined
     },
 
+    ip: Object.assign(
+      function (value, options) {
+        if (!Validator.isDefined(value)) return
+
+        if (Validator.isNumber(options)) {
+          options = { version: options }
+        }
+
+        const opts = { ...this.options, ...options }
+        const notValid =
+          opts.message ||
+          opts.notValid ||
+          this.notValid ||
+          'is not a valid IP address'
+
+        if (!Validator.isString(value)) return notValid
+
+        const address = this.parse(value)
+        if (!address) return notValid
+
+        const hasCidr = Validator.isDefined(address.prefix)
+        if (opts.requireCidr && !hasCidr) return notValid
+        if (hasCidr && !opts.allowCidr && !opts.requireCidr) return notValid
+
+        if (opts.version && address.version !== opts.version) {
+          const message =
+            opts.message ||
+            opts.wrongVersion ||
+            this.wrongVersion ||
+            'must be an IPv%{version} address'
+          return Validator.format(message, { version: opts.version })
+        }
+
+        const range = this.rangeOf(address)
+        const flag = range && `allow${range[0].toUpperCase()}${range.slice(1)}`
+        if (range && opts[flag] === false) {
+          const message =
+            opts.message ||
+            opts.restricted ||
+            this.restricted ||
+            'must not be a %{range} address'
+          return Validator.format(message, { range: Validator.prettify(range) })
+        }
+      },
+      {
+        // Special purpose ranges, see RFC 6890
+        RANGES: {
+          private: [
+            '10.0.0.0/8',
+            '172.16.0.0/12',
+            '192.168.0.0/16',
+            'fc00::/7'
+          ],
+          loopback: ['127.0.0.0/8', '::1/128'],
+          linkLocal: ['169.254.0.0/16', 'fe80::/10'],
+          reserved: [
+            '0.0.0.0/8',
+            '100.64.0.0/10',
+            '192.0.0.0/24',
+            '192.0.2.0/24',
+            '198.18.0.0/15',
+            '198.51.100.0/24',
+            '203.0.113.0/24',
+            '224.0.0.0/4',
+            '240.0.0.0/4',
+            '::/128',
+            '100::/64',
+            '2001:db8::/32',
+            'ff00::/8'
+          ]
+        },
+
+        // Returns { version, bytes, prefix } for an IP address with an
+        // optional CIDR prefix, or undefined if it isn't one
+        parse(value) {
+          const [ip, prefix, ...rest] = value.split('/')
+          if (rest.length > 0) return
+
+          let version = 4
+          let bytes = this.parseIPv4(ip)
+          if (!bytes) {
+            version = 6
+            bytes = this.parseIPv6(ip)
+          }
+          if (!bytes) return
+
+          if (!Validator.isDefined(prefix)) return { version, bytes }
+
+          const maximum = bytes.length * 8
+          if (!/^(0|[1-9]\d{0,2})$/.test(prefix) || +prefix > maximum) return
+          return { version, bytes, prefix: +prefix }
+        },
+
+        parseIPv4(ip) {
+          const parts = ip.split('.')
+          // Leading zeros are rejected since some parsers read them as octal
+          if (
+            parts.length !== 4 ||
+            !parts.every(
+              (part) => /^(0|[1-9]\d{0,2})$/.test(part) && +part < 256
+            )
+          ) {
+            return
+          }
+          return parts.map(Number)
+        },
+
+        parseIPv6(ip) {
+          const halves = ip.split('::')
+          if (halves.length > 2) return
+
+          const groups = halves.map((half) => (half ? half.split(':') : []))
+          const last = groups[groups.length - 1]
+
+          // An embedded IPv4 address takes up the last two groups
+          if (last.length > 0 && last[last.length - 1].includes('.')) {
+            const ipv4 = this.parseIPv4(last.pop())
+            if (!ipv4) return
+            last.push(
+              ((ipv4[0] << 8) | ipv4[1]).toString(16),
+              ((ipv4[2] << 8) | ipv4[3]).toString(16)
+            )
+          }
+
+          const count = groups.reduce((sum, group) => sum + group.length, 0)
+          if (halves.length === 1 ? count !== 8 : count > 7) return
+          if (!groups.flat().every((group) => /^[0-9a-f]{1,4}$/i.test(group))) {
+            return
+          }
+
+          const words = [
+            ...groups[0],
+            ...Array(8 - count).fill('0'),
+            ...(groups[1] || [])
+          ].map((group) => parseInt(group, 16))
+          return words.flatMap((word) => [word >> 8, word & 0xff])
+        },
+
+        // Returns the name of the special purpose range the address is in,
+        // IPv4-mapped IPv6 addresses are looked up as IPv4
+        rangeOf({ version, bytes }) {
+          const mapped =
+            version === 6 &&
+            bytes.slice(0, 10).every((byte) => byte === 0) &&
+            bytes[10] === 255 &&
+            bytes[11] === 255
+          if (mapped) bytes = bytes.slice(12)
+
+          for (const range in this.RANGES) {
+            for (const cidr of this.RANGES[range]) {
+              const network = this.parse(cidr)
+              if (
+                network.bytes.length === bytes.length &&
+                Validator.#inNetwork(bytes, network)
+              ) {
+                return range
+              }
+            }
+          }
+        }
+      }
+    ),
+
+    creditCard: Object.assign(
+      function (value, options) {
+        if (!Validator.isDefined(value)) return
+
+        if (Validator.isArray(options)) {
+          options = { networks: options }
+        }
+
+        const opts = { ...this.options, ...options }
+        const notValid =
+          opts.message ||
+          opts.notValid ||
+          this.notValid ||
+          'is not a valid credit card number'
+
+        if (!Validator.isString(value)) return notValid
+
+        const number = value.replace(/[\s-]/g, '')
+        if (!/^\d+$/.test(number)) return notValid
+
+        const network = this.networkOf(number)
+        const networks = opts.networks || this.networks
+        if (!network || (networks && !networks.includes(network))) {
+          const message =
+            opts.message ||
+            opts.unsupported ||
+            this.unsupported ||
+            'is not a supported card type'
+          return Validator.format(message, {
+            network: network ? this.NETWORKS[network].name : 'unknown'
+          })
+        }
+
+        if (!this.NETWORKS[network].lengths.includes(number.length)) {
+          return notValid
+        }
+
+        if (!this.luhn(number)) {
+          return (
+            opts.message ||
+            opts.invalidChecksum ||
+            this.invalidChecksum ||
+            'has an invalid checksum'
+          )
+        }
+      },
+      {
+        // Checked in order, the first network with a matching prefix wins
+        NETWORKS: {
+          visa: { name: 'Visa', prefix: /^4/, lengths: [13, 16, 19] },
+          mastercard: {
+            name: 'Mastercard',
+            prefix: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/,
+            lengths: [16]
+          },
+          amex: { name: 'American Express', prefix: /^3[47]/, lengths: [15] },
+          discover: {
+            name: 'Discover',
+            prefix: /^(6011|64[4-9]|65)/,
+            lengths: [16, 17, 18, 19]
+          },
+          dinersClub: {
+            name: 'Diners Club',
+            prefix: /^(30[0-5]|3095|36|3[89])/,
+            lengths: [14, 15, 16, 17, 18, 19]
+          },
+          jcb: {
+            name: 'JCB',
+            prefix: /^35(2[89]|[3-8]\d)/,
+            lengths: [16, 17, 18, 19]
+          },
+          unionPay: {
+            name: 'UnionPay',
+            prefix: /^62/,
+            lengths: [16, 17, 18, 19]
+          },
+          maestro: {
+            name: 'Maestro',
+            prefix: /^(5018|5020|5038|5893|6304|6759|676[1-3])/,
+            lengths: [12, 13, 14, 15, 16, 17, 18, 19]
+          }
+        },
+
+        // Returns the key of the network a card number belongs to
+        networkOf(number) {
+          for (const network in this.NETWORKS) {
+            if (this.NETWORKS[network].prefix.test(number)) return network
+          }
+        },
+
+        luhn(number) {
+          let sum = 0
+          for (let i = 0; i < number.length; i++) {
+            let digit = +number[number.length - 1 - i]
+            if (i % 2 === 1) {
+              digit *= 2
+              if (digit > 9) digit -= 9
+            }
+            sum += digit
+          }
+          return sum % 10 === 0
+        }
+      }
+    ),
+
+    iban: Object.assign(
+      function (value, options) {
+        if (!Validator.isDefined(value)) return
+
+        if (Validator.isArray(options)) {
+          options = { countries: options }
+        }
+
+        const opts = { ...this.options, ...options }
+        const notValid =
+          opts.message ||
+          opts.notValid ||
+          this.notValid ||
+          'is not a valid IBAN'
+
+        if (!Validator.isString(value)) return notValid
+
+        const iban = this.normalize(value)
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) return notValid
+
+        const country = iban.slice(0, 2)
+        const length = this.LENGTHS[country]
+        if (!length) return notValid
+
+        const countries = opts.countries || this.countries
+        if (countries && !countries.includes(country)) {
+          const message =
+            opts.message ||
+            opts.unsupported ||
+            this.unsupported ||
+            'from %{country} is not accepted'
+          return Validator.format(message, { country })
+        }
+
+        if (iban.length !== length) {
+          const message =
+            opts.message ||
+            opts.wrongLength ||
+            this.wrongLength ||
+            'must be %{count} characters long for %{country}'
+          return Validator.format(message, { count: length, country })
+        }
+
+        if (this.mod97(iban) !== 1) {
+          const message =
+            opts.message ||
+            opts.invalidChecksum ||
+            this.invalidChecksum ||
+            'has an invalid checksum'
+          return Validator.format(message, { country })
+        }
+      },
+      {
+        // IBAN lengths by country, see the SWIFT IBAN registry
+        LENGTHS: {
+          AD: 24,
+          AE: 23,
+          AL: 28,
+          AT: 20,
+          AZ: 28,
+          BA: 20,
+          BE: 16,
+          BG: 22,
+          BH: 22,
+          BI: 27,
+          BR: 29,
+          BY: 28,
+          CH: 21,
+          CR: 22,
+          CY: 28,
+          CZ: 24,
+          DE: 22,
+          DJ: 27,
+          DK: 18,
+          DO: 28,
+          EE: 20,
+          EG: 29,
+          ES: 24,
+          FI: 18,
+          FK: 18,
+          FO: 18,
+          FR: 27,
+          GB: 22,
+          GE: 22,
+          GI: 23,
+          GL: 18,
+          GR: 27,
+          GT: 28,
+          HR: 21,
+          HU: 28,
+          IE: 22,
+          IL: 23,
+          IQ: 23,
+          IS: 26,
+          IT: 27,
+          JO: 30,
+          KW: 30,
+          KZ: 20,
+          LB: 28,
+          LC: 32,
+          LI: 21,
+          LT: 20,
+          LU: 20,
+          LV: 21,
+          LY: 25,
+          MC: 27,
+          MD: 24,
+          ME: 22,
+          MK: 19,
+          MN: 20,
+          MR: 27,
+          MT: 31,
+          MU: 30,
+          NI: 28,
+          NL: 18,
+          NO: 15,
+          OM: 23,
+          PK: 24,
+          PL: 28,
+          PS: 29,
+          PT: 25,
+          QA: 29,
+          RO: 24,
+          RS: 22,
+          RU: 33,
+          SA: 24,
+          SC: 31,
+          SD: 18,
+          SE: 24,
+          SI: 19,
+          SK: 24,
+          SM: 27,
+          SO: 23,
+          ST: 25,
+          SV: 28,
+          TL: 23,
+          TN: 24,
+          TR: 26,
+          UA: 29,
+          VA: 22,
+          VG: 24,
+          XK: 20,
+          YE: 30
+        },
+
+        normalize: (value) => value.replace(/\s+/g, '').toUpperCase(),
+
+        // ISO 7064 MOD 97-10, digit by digit since IBANs overflow numbers
+        mod97(iban) {
+          const rearranged = iban.slice(4) + iban.slice(0, 4)
+          let remainder = 0
+          for (const char of rearranged) {
+            const digits = parseInt(char, 36).toString()
+            for (const digit of digits) {
+              remainder = (remainder * 10 + +digit) % 97
+            }
+          }
+          return remainder
+        }
+      }
+    ),
+
+    bic: Object.assign(
+      function (value, options) {
+        if (!Validator.isDefined(value)) return
+
+        if (Validator.isArray(options)) {
+          options = { countries: options }
+        }
+
+        const opts = { ...this.options, ...options }
+        const notValid =
+          opts.message || opts.notValid || this.notValid || 'is not a valid BIC'
+
+        if (!Validator.isString(value)) return notValid
+
+        const bic = value.replace(/\s+/g, '').toUpperCase()
+        if (!this.PATTERN.test(bic)) return notValid
+
+        const country = bic.slice(4, 6)
+        const countries = opts.countries || this.countries
+        if (countries && !countries.includes(country)) {
+          const message =
+            opts.message ||
+            opts.unsupported ||
+            this.unsupported ||
+            'from %{country} is not accepted'
+          return Validator.format(message, { country })
+        }
+      },
+      {
+        // Bank, country, location and an optional branch code
+        PATTERN: /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/
+      }
+    ),
+
+    phone: Object.assign(
+      function (value, options) {
+        if (!Validator.isDefined(value)) return
+
+        if (Validator.isArray(options)) {
+          options = { regions: options }
+        }
+
+        const opts = { ...this.options, ...options }
+        const notValid =
+          opts.message ||
+          opts.notValid ||
+          this.notValid ||
+          'is not a valid phone number'
+
+        if (!Validator.isString(value)) return notValid
+
+        const number = this.parse(value, opts)
+        if (!number) return notValid
+
+        const regions = opts.regions || this.regions
+        if (regions && !number.regions.some((r) => regions.includes(r))) {
+          const message =
+            opts.message ||
+            opts.unsupported ||
+            this.unsupported ||
+            'is not from an accepted region'
+          return Validator.format(message, { code: number.code })
+        }
+      },
+      {
+        REGIONS: PHONE_REGIONS,
+        SEPARATORS: /[\s().-]/g,
+
+        // Returns the calling code, the national number and the regions it
+        // may belong to, or undefined if it isn't a valid phone number.
+        // Numbers without a + are read as national numbers of `region`.
+        parse(value, { normalize, region } = {}) {
+          let number = normalize ? value.replace(this.SEPARATORS, '') : value
+
+          if (!number.startsWith('+')) {
+            const { code, trunk = '0' } = this.REGIONS[region] || {}
+            if (!code) return
+
+            if (trunk && number.startsWith(trunk)) {
+              number = number.slice(trunk.length)
+            }
+            number = `+${code}${number}`
+          }
+
+          // E.164 allows at most 15 digits, country code included
+          if (!/^\+[1-9]\d{1,14}$/.test(number)) return
+
+          // Calling codes are prefix free, so the first one that's known wins
+          const digits = number.slice(1)
+          for (let i = 1; i <= 3; i++) {
+            const code = digits.slice(0, i)
+            const national = digits.slice(i)
+            const candidates = Object.keys(this.REGIONS).filter(
+              (r) => this.REGIONS[r].code === code
+            )
+            if (candidates.length === 0) continue
+
+            // Regions sharing a code are told apart by their leading digits,
+            // the one without prefixes takes the numbers nobody else claims
+            const prefixed = candidates.filter((r) =>
+              this.REGIONS[r].prefixes?.some((p) => national.startsWith(p))
+            )
+            const owners =
+              prefixed.length > 0
+                ? prefixed
+                : candidates.filter((r) => !this.REGIONS[r].prefixes)
+
+            const regions = owners.filter((r) => {
+              const [minimum, maximum] = this.REGIONS[r].lengths
+              return national.length >= minimum && national.length <= maximum
+            })
+            return regions.length > 0 ? { code, national, regions } : undefined
+          }
+        }
+      }
+    ),
+
+    password: Object.assign(
+      function (value, options, attribute, attributes, globalOptions) {
+        if (!Validator.isDefined(value)) return
+
+        const opts = { ...this.options, ...options }
+        const errors = []
+        const prettify =
+          opts.prettify || globalOptions?.prettify || Validator.prettify
+
+        for (const option of ['maxSequence', 'maxRepeat']) {
+          const limit = opts[option]
+          if (
+            Validator.isDefined(limit) &&
+            !(Validator.isInteger(limit) && limit > 0)
+          ) {
+            throw new Error(
+              Validator.format('%{option} must be a positive integer', {
+                option
+              })
+            )
+          }
+        }
+
+        if (!Validator.isString(value)) {
+          return (
+            opts.message || opts.notValid || this.notValid || 'must be a string'
+          )
+        }
+
+        for (const name of [].concat(opts.require || [])) {
+          const { pattern, description } = this.CLASSES[name] || {}
+          if (!pattern) {
+            throw new Error(
+              Validator.format('Unknown character class %{name}', { name })
+            )
+          }
+          if (!pattern.test(value)) {
+            const err =
+              opts.missingClass || this.missingClass || 'must contain %{class}'
+            errors.push(Validator.format(err, { class: description }))
+          }
+        }
+
+        if (
+          Validator.isNumber(opts.minEntropy) &&
+          this.entropy(value) < opts.minEntropy
+        ) {
+          errors.push(opts.tooWeak || this.tooWeak || 'is too weak')
+        }
+
+        const sequence =
+          Validator.isNumber(opts.maxSequence) &&
+          this.findSequence(value, opts.maxSequence)
+        if (sequence) {
+          const err =
+            opts.hasSequence ||
+            this.hasSequence ||
+            'must not contain sequences like %{sequence}'
+          errors.push(Validator.format(err, { sequence }))
+        }
+
+        const repeat =
+          Validator.isNumber(opts.maxRepeat) &&
+          this.findRepeat(value, opts.maxRepeat)
+        if (repeat) {
+          const err =
+            opts.hasRepeat ||
+            this.hasRepeat ||
+            'must not contain repeated characters like %{sequence}'
+          errors.push(Validator.format(err, { sequence: repeat }))
+        }
+
+        const lowerValue = value.toLowerCase()
+        for (const other of [].concat(opts.notContaining || [])) {
+          const otherValue = Validator.getDeepObjectValue(attributes, other)
+          if (!Validator.isString(otherValue)) continue
+
+          // For emails the local part alone is enough of a giveaway, while
+          // very short values would match almost any password
+          const needles = [otherValue, otherValue.split('@')[0]]
+          if (
+            needles.some(
+              (needle) =>
+                needle.length >= 3 && lowerValue.includes(needle.toLowerCase())
+            )
+          ) {
+            const err =
+              opts.containsAttribute ||
+              this.containsAttribute ||
+              'must not contain %{attribute}'
+            errors.push(Validator.format(err, { attribute: prettify(other) }))
+          }
+        }
+
+        const blocklist = opts.blocklist || this.blocklist
+        if (
+          blocklist &&
+          Array.from(blocklist).some(
+            (common) => common.toLowerCase() === lowerValue
+          )
+        ) {
+          errors.push(opts.blocklisted || this.blocklisted || 'is too common')
+        }
+
+        return errors.length > 0 ? opts.message || errors : undefined
+      },
+      {
+        CLASSES: {
+          lowercase: {
+            pattern: /\p{Ll}/u,
+            size: 26,
+            description: 'a lowercase letter'
+          },
+          uppercase: {
+            pattern: /\p{Lu}/u,
+            size: 26,
+            description: 'an uppercase letter'
+          },
+          digit: { pattern: /\p{Nd}/u, size: 10, description: 'a digit' },
+          symbol: {
+            pattern: /[^\p{Ll}\p{Lu}\p{Nd}]/u,
+            size: 33,
+            description: 'a symbol'
+          }
+        },
+
+        // A rough estimate in bits, assuming every character is picked at
+        // random from the character classes the password uses
+        entropy(value) {
+          let pool = 0
+          for (const name in this.CLASSES) {
+            const { pattern, size } = this.CLASSES[name]
+            if (pattern.test(value)) pool += size
+          }
+          return pool > 0 ? [...value].length * Math.log2(pool) : 0
+        },
+
+        // Returns the first run of more than `max` consecutive letters or
+        // digits in either direction, like abcd or 4321
+        findSequence(value, max) {
+          const chars = [...value.toLowerCase()]
+          let start = 0
+          let step = 0
+
+          for (let i = 1; i < chars.length; i++) {
+            const pair = chars[i - 1] + chars[i]
+            const diff = chars[i].codePointAt(0) - chars[i - 1].codePointAt(0)
+            const continues = /^[a-z0-9]{2}$/.test(pair) && Math.abs(diff) === 1
+            if (!continues || diff !== step) {
+              start = i - 1
+              step = continues ? diff : 0
+            }
+            if (step !== 0 && i - start + 1 > max) {
+              return chars.slice(start, i + 1).join('')
+            }
+          }
+        },
+
+        // Returns the first run of the same character longer than `max`
+        findRepeat(value, max) {
+          const match = new RegExp(`(.)\\1{${max},}`, 'su').exec(value)
+          return match ? match[0] : undefined
+        }
+      }
+    ),
+
     type: Object.assign(
       function (value, originalOptions, attribute, attributes, globalOptions) {
         if (Validator.isString(originalOptions)) {
@@ -984,6 +2703,49 @@ export default class Validator {
     )
   }
 
+  static transforms = {
+    trim: (value) => (Validator.isString(value) ? value.trim() : value),
+
+    nullify: (value) => (value === '' ? null : value),
+
+    toNumber(value) {
+      if (!Validator.isString(value) || Validator.isEmpty(value)) return value
+
+      const number = +value
+      return Validator.isNumber(number) ? number : value
+    },
+
+    toBoolean: Object.assign(
+      function (value) {
+        const { TRUE_VALUES, FALSE_VALUES } = Validator.transforms.toBoolean
+        const normalized = Validator.isString(value)
+          ? value.trim().toLowerCase()
+          : value
+
+        if (TRUE_VALUES.includes(normalized)) return true
+        if (FALSE_VALUES.includes(normalized)) return false
+        return value
+      },
+      {
+        TRUE_VALUES: ['true', '1', 'yes', 'on', 1],
+        FALSE_VALUES: ['false', '0', 'no', 'off', 0]
+      }
+    ),
+
+    toDate(value) {
+      const parsable =
+        Validator.isNumber(value) ||
+        (Validator.isString(value) && !Validator.isEmpty(value))
+      if (!parsable) return value
+
+      // Same rules as the datetime validator, so '42' isn't a year and
+      // date-times without an offset are UTC rather than local time
+      const datetime = Validator.validators.datetime
+      const time = datetime.parseISO(value)
+      return isNaN(time) ? value : new Date(time)
+    }
+  }
+
   static formatters = {
     detailed: (errors) => errors,
     flat: Validator.flattenErrorsToArray,
@@ -0,0 +1,91 @@
+/*
+neovalidate - ES6+ fork of Validate.js, a declarative validation library
+(c) 2025 pokeghost
+Licensed under MIT License
+
+Based on validate.js 0.13.1
+http://validatejs.org/
+(c) 2013-2019 Nicklas Ansman, 2013 Wrapp
+*/
+
+import { describe, it, expect, afterEach } from 'vitest'
+import Validator from '../src/validator.js'
+import validate from '../src/compat.js'
+
+describe('validate (compat)', () => {
+  const constraints = { name: { presence: true } }
+
+  afterEach(() => {
+    validate.options = {}
+    validate.async.options = { cleanAttributes: true }
+    validate.single.options = {}
+    delete validate.validators.fail
+  })
+
+  it('validates like validate.js', () => {
+    expect(validate({}, constraints)).toEqual({
+      name: ["Name can't be blank"]
+    })
+    expect(validate({ name: 'foo' }, constraints)).toBeUndefined()
+  })
+
+  it('uses validate.options as defaults', () => {
+    validate.options = { format: 'flat' }
+    expect(validate({}, constraints)).toEqual(["Name can't be blank"])
+    expect(validate({}, constraints, { format: 'grouped' })).toEqual({
+      name: ["Name can't be blank"]
+    })
+  })
+
+  it('validates asynchronously with validate.async', async () => {
+    await expect(
+      validate.async({ name: 'foo', other: 'bar' }, constraints)
+    ).resolves.toEqual({ name: 'foo' })
+    await expect(validate.async({}, constraints)).rejects.toEqual({
+      name: ["Name can't be blank"]
+    })
+
+    validate.async.options = { cleanAttributes: false }
+    await expect(
+      validate.async({ name: 'foo', other: 'bar' }, constraints)
+    ).resolves.toEqual({ name: 'foo', other: 'bar' })
+  })
+
+  it('validates single values with validate.single', () => {
+    expect(validate.single(null, { presence: true })).toEqual([
+      "can't be blank"
+    ])
+    expect(validate.single('foo', { presence: true })).toBeUndefined()
+  })
+
+  it('shares validators and formatters with Validator', () => {
+    expect(validate.validators).toBe(Validator.validators)
+    expect(validate.formatters).toBe(Validator.formatters)
+
+    validate.validators.fail = () => 'my error'
+    expect(validate({}, { name: { fail: true } })).toEqual({
+      name: ['Name my error']
+    })
+  })
+
+  it('proxies validate.Promise to Validator.Promise', () => {
+    const original = Validator.Promise
+    try {
+      validate.Promise = null
+      expect(Validator.Promise).toBeNull()
+      expect(validate.Promise).toBeNull()
+    } finally {
+      validate.Promise = original
+    }
+  })
+
+  it('exposes the helper functions', () => {
+    expect(validate.isEmpty('  ')).toBe(true)
+    expect(validate.capitalize('foo')).toBe('Foo')
+    expect(validate.format('%{a}', { a: 1 })).toBe('1')
+    expect(validate.cleanAttributes({ a: 1, b: 2 }, { a: true })).toEqual({
+      a: 1
+    })
+    expect(validate.getDeepObjectValue({ a: { b: 1 } }, 'a.b')).toBe(1)
+  })
+})